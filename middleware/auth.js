@@ -0,0 +1,84 @@
+const jwt = require('jsonwebtoken');
+
+// Verifies an access token, then checks the session it belongs to is still
+// live and the user isn't suspended. Shared by the HTTP middleware and the
+// realtime socket. Resolves to { userId, sessionId, role, expiresAt } or to
+// { status, error, code } when the token must be refused.
+async function verifyAccessToken(token, supabase) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return { status: 401, error: 'Token expired', code: 'TOKEN_EXPIRED' };
+    }
+    console.error('Auth error:', err);
+    return { status: 401, error: 'Invalid token' };
+  }
+
+  const revoked = { status: 401, error: 'Session expired. Please log in again.', code: 'SESSION_REVOKED' };
+
+  // Tokens from before sessions existed carry no sid
+  if (!decoded.sid) return revoked;
+
+  const { data: session, error } = await supabase
+    .from('sessions')
+    .select('user_id, revoked_at, user:user_id(is_suspended, role)')
+    .eq('id', decoded.sid)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Auth session lookup error:', error);
+    return { status: 503, error: 'Authentication temporarily unavailable' };
+  }
+
+  if (!session || session.revoked_at || session.user_id !== decoded.userId) {
+    return revoked;
+  }
+
+  if (session.user?.is_suspended) {
+    return { status: 403, error: 'Your account has been suspended', code: 'ACCOUNT_SUSPENDED' };
+  }
+
+  return {
+    userId: decoded.userId,
+    sessionId: decoded.sid,
+    role: session.user?.role || 'user',
+    expiresAt: decoded.exp * 1000
+  };
+}
+
+// Sets req.userId, req.sessionId and req.userRole
+const authenticate = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
+
+  try {
+    const auth = await verifyAccessToken(token, req.supabase);
+    if (auth.error) {
+      const body = { error: auth.error };
+      if (auth.code) body.code = auth.code;
+      return res.status(auth.status).json(body);
+    }
+
+    req.userId = auth.userId;
+    req.sessionId = auth.sessionId;
+    req.userRole = auth.role;
+    next();
+  } catch (err) {
+    console.error('Auth error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Use after authenticate
+const requireAdmin = (req, res, next) => {
+  if (req.userRole !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+module.exports = { verifyAccessToken, authenticate, requireAdmin };
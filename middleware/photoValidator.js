@@ -1,4 +1,7 @@
 const crypto = require('crypto');
+const { sniffImage, ImageSniffError } = require('../utils/imageSniff');
+const { computeDHash, findSimilarPhoto, flagSimilarPhoto } = require('../utils/photoSimilarity');
+const { PHOTO_VISIBILITIES } = require('../utils/albums');
 
 const validatePhotoUniqueness = async (req, res, next) => {
   try {
@@ -60,6 +63,31 @@ const validatePhotoUniqueness = async (req, res, next) => {
       }
     }
 
+    // Byte-identical check passed; now look for re-encoded or cropped copies
+    let dhash;
+    try {
+      dhash = await computeDHash(req.file.buffer);
+    } catch (decodeError) {
+      console.error('Photo decode error:', decodeError);
+      return res.status(400).json({ error: 'Image could not be decoded', code: 'INVALID_IMAGE' });
+    }
+    req.photoDHash = dhash;
+
+    const similar = await findSimilarPhoto(dhash, req.userId, supabase);
+    if (similar && similar.action === 'block') {
+      console.error(`SECURITY: User ${req.userId} uploaded a near-duplicate (distance ${similar.distance}) of photo ${similar.photo.id} owned by user ${similar.photo.user_id}`);
+      await flagSimilarPhoto(req.userId, similar, { dhash }, supabase);
+
+      return res.status(409).json({ 
+        error: 'This photo is too similar to one uploaded by another user. Please use original content only.',
+        code: 'PHOTO_NEAR_DUPLICATE'
+      });
+    }
+
+    // Close but not close enough to refuse: the route stores the upload and
+    // queues it for review with both images linked
+    req.photoSimilarity = similar;
+
     // Photo is unique, proceed
     next();
   } catch (err) {
@@ -72,6 +100,70 @@ const validatePhotoUniqueness = async (req, res, next) => {
   }
 };
 
+// Chat photos are a different case: resending your own profile photo to a
+// match is normal, and an exact copy of someone else's photo is evidence
+// for moderators rather than a reason to fail the message. Nothing is
+// refused here; a similar photo is left in req.photoSimilarity for the
+// route to flag once the message exists. Sets req.photoHash as well.
+const checkChatImageSimilarity = async (req, res, next) => {
+  if (!req.file) {
+    return next();
+  }
+
+  req.photoHash = crypto
+    .createHash('sha256')
+    .update(req.file.buffer)
+    .digest('hex');
+
+  let dhash;
+  try {
+    dhash = await computeDHash(req.file.buffer);
+  } catch (decodeError) {
+    console.error('Photo decode error:', decodeError);
+    return res.status(400).json({ error: 'Image could not be decoded', code: 'INVALID_IMAGE' });
+  }
+  req.photoDHash = dhash;
+
+  // Advisory only, so a lookup failure doesn't stop the message
+  try {
+    req.photoSimilarity = await findSimilarPhoto(dhash, req.userId, req.supabase);
+  } catch (err) {
+    console.error('Chat photo similarity check failed:', err);
+  }
+
+  next();
+};
+
+// Every route that accepts images runs this first. The format is sniffed
+// from the bytes; the client's mimetype is ignored. Sets req.imageInfo
+// ({ format, mimetype, extension, width, height }) and trims req.file.buffer
+// to the real end of the image.
+const validateImageContent = (req, res, next) => {
+  // Routes decide themselves whether a file is required
+  if (!req.file) {
+    return next();
+  }
+
+  try {
+    const { buffer, ...info } = sniffImage(req.file.buffer);
+
+    if (info.mimetype !== req.file.mimetype) {
+      console.warn(`Upload from user ${req.userId} labelled ${req.file.mimetype} but is ${info.mimetype}`);
+    }
+
+    req.file.buffer = buffer;
+    req.file.size = buffer.length;
+    req.imageInfo = info;
+    next();
+  } catch (err) {
+    if (err instanceof ImageSniffError) {
+      return res.status(400).json({ error: err.message, code: 'INVALID_IMAGE' });
+    }
+    console.error('Image validation error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
+
 // Helper function to validate photo type
 const validatePhotoType = (req, res, next) => {
   const validTypes = ['profile', 'verification', 'face', 'feet', 'socks', 'shoes', 'pedicure'];
@@ -83,13 +175,33 @@ const validatePhotoType = (req, res, next) => {
         error: `Invalid photo type. Must be one of: ${validTypes.join(', ')}` 
       });
     }
+    // Verification selfies are moderator-only and have their own flow
+    if (req.body.photo_type === 'verification') {
+      return res.status(400).json({ 
+        error: 'Verification photos must be submitted through /api/verification',
+        code: 'USE_VERIFICATION_FLOW'
+      });
+    }
   }
   
   // If no photo_type provided, it will default to 'profile' in server.js
   next();
 };
 
+// Visibility is optional on upload and defaults to public
+const validatePhotoVisibility = (req, res, next) => {
+  if (req.body && req.body.visibility && !PHOTO_VISIBILITIES.includes(req.body.visibility)) {
+    return res.status(400).json({ 
+      error: `Invalid visibility. Must be one of: ${PHOTO_VISIBILITIES.join(', ')}` 
+    });
+  }
+  next();
+};
+
 module.exports = { 
   validatePhotoUniqueness,
-  validatePhotoType 
+  checkChatImageSimilarity,
+  validateImageContent,
+  validatePhotoType,
+  validatePhotoVisibility 
 };
\ No newline at end of file
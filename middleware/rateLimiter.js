@@ -17,6 +17,34 @@ const authLimiter = rateLimit({
   message: { error: 'Too many authentication attempts. Please try again in 15 minutes.' }
 });
 
+// Email verification attempts (prevent token guessing)
+const verifyEmailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 attempts per 15 min
+  message: { error: 'Too many verification attempts. Please try again in 15 minutes.' }
+});
+
+// Resending verification emails (prevent mail bombing)
+const resendVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // 3 resends per hour
+  message: { error: 'Too many verification emails requested. Please try again in an hour.' }
+});
+
+// Forgot/reset password (prevent mail bombing and token guessing)
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 requests per hour
+  message: { error: 'Too many password reset attempts. Please try again in an hour.' }
+});
+
+// Token refresh (clients refresh every 15 min, so this is generous)
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 refreshes per 15 min
+  message: { error: 'Too many token refreshes. Please try again later.' }
+});
+
 // Swipe rate limiting (prevent spam swiping)
 const swipeLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
@@ -38,6 +66,27 @@ const uploadLimiter = rateLimit({
   message: { error: 'Upload limit reached. You can upload 20 photos per hour.' }
 });
 
+// Selfie verification prompts and submissions
+const verificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // 10 attempts per hour
+  message: { error: 'Too many verification attempts. Please try again later.' }
+});
+
+// Out-of-area waitlist signups
+const waitlistLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 signups per hour
+  message: { error: 'Too many waitlist requests. Please try again later.' }
+});
+
+// Personal data export (heavy query, rarely needed)
+const accountExportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // 3 exports per hour
+  message: { error: 'Export limit reached. You can export your data 3 times per hour.' }
+});
+
 // DEPRECATED: Use authLimiter instead
 const signupLimiter = authLimiter;
 
@@ -47,9 +96,16 @@ const defaultLimiter = globalLimiter;
 module.exports = {
   globalLimiter,
   authLimiter,
+  verifyEmailLimiter,
+  resendVerificationLimiter,
+  passwordResetLimiter,
+  refreshLimiter,
   swipeLimiter,
   messageLimiter,
   uploadLimiter,
+  accountExportLimiter,
+  verificationLimiter,
+  waitlistLimiter,
   signupLimiter, // Kept for backward compatibility
   defaultLimiter  // Kept for backward compatibility
 };
\ No newline at end of file
@@ -0,0 +1,17 @@
+-- Self-service account deletion. deleted_at hides the account right away;
+-- the purge job scrubs it once deletion_scheduled_for has passed. The users
+-- row is kept as an anonymous tombstone so reports filed against the
+-- account still resolve for moderators.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS purged_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_users_deletion_due
+  ON users (deletion_scheduled_for)
+  WHERE deleted_at IS NOT NULL AND purged_at IS NULL;
+
+-- Tombstones keep only the id
+ALTER TABLE users ALTER COLUMN age DROP NOT NULL;
+ALTER TABLE users ALTER COLUMN city DROP NOT NULL;
+ALTER TABLE users ALTER COLUMN gender DROP NOT NULL;
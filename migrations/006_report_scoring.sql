@@ -0,0 +1,46 @@
+-- Weighted report scoring. Each report stores the weight it was given and
+-- the factors behind it so moderators can see why a user was flagged.
+
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS weight NUMERIC(6, 3);
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS score_breakdown JSONB;
+
+-- Reports filed before scoring get their reason's base severity (the
+-- REPORT_REASON_WEIGHTS defaults) so they keep counting towards thresholds
+UPDATE reports SET weight = CASE reason
+    WHEN 'spam' THEN 0.75
+    WHEN 'fake' THEN 1
+    WHEN 'inappropriate' THEN 1.25
+    WHEN 'other' THEN 0.5
+    ELSE 1
+  END
+WHERE weight IS NULL;
+
+UPDATE reports SET score_breakdown = jsonb_build_object(
+    'reason', reason,
+    'severity', weight,
+    'backfilled', true
+  )
+WHERE score_breakdown IS NULL;
+
+-- Existing duplicates: keep the oldest pending report per pair
+UPDATE reports r SET status = 'dismissed'
+WHERE r.status = 'pending'
+  AND EXISTS (
+    SELECT 1 FROM reports o
+    WHERE o.reporter_id = r.reporter_id
+      AND o.reported_id = r.reported_id
+      AND o.status = 'pending'
+      AND (o.created_at, o.id) < (r.created_at, r.id)
+  );
+
+UPDATE reports SET status = 'dismissed'
+WHERE status = 'pending' AND reporter_id = reported_id;
+
+-- One active report per reporter/target pair
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_one_pending_per_pair
+  ON reports (reporter_id, reported_id) WHERE status = 'pending';
+
+-- NOT VALID: old self-reports stay as history, new ones are refused
+ALTER TABLE reports DROP CONSTRAINT IF EXISTS reports_no_self_report;
+ALTER TABLE reports ADD CONSTRAINT reports_no_self_report
+  CHECK (reporter_id <> reported_id) NOT VALID;
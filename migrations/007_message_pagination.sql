@@ -0,0 +1,41 @@
+-- Keyset pagination over messages and per-match summaries for /api/matches.
+
+CREATE INDEX IF NOT EXISTS idx_messages_match_created
+  ON messages (match_id, created_at DESC, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_messages_unread
+  ON messages (match_id, sender_id) WHERE is_read = false;
+
+-- Last message and unread count for every match the user is in
+CREATE OR REPLACE FUNCTION get_match_summaries(p_user_id UUID)
+RETURNS TABLE (
+  match_id UUID,
+  last_message_id UUID,
+  last_message_content TEXT,
+  last_message_sender_id UUID,
+  last_message_at TIMESTAMPTZ,
+  unread_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT
+    m.id,
+    last.id,
+    last.content,
+    last.sender_id,
+    last.created_at,
+    (
+      SELECT count(*) FROM messages u
+      WHERE u.match_id = m.id
+        AND u.sender_id <> p_user_id
+        AND u.is_read = false
+    )
+  FROM matches m
+  LEFT JOIN LATERAL (
+    SELECT id, content, sender_id, created_at
+    FROM messages
+    WHERE match_id = m.id
+    ORDER BY created_at DESC, id DESC
+    LIMIT 1
+  ) last ON true
+  WHERE m.user1_id = p_user_id OR m.user2_id = p_user_id;
+$$;
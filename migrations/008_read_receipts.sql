@@ -0,0 +1,8 @@
+-- Explicit read receipts. read_at is set when the recipient marks messages
+-- read up to a given message. is_read is kept in step for unread counts.
+-- Messages read before this migration keep is_read = true with no read_at.
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS read_at TIMESTAMPTZ;
+
+-- Privacy: when false, senders never see this user's read state
+ALTER TABLE users ADD COLUMN IF NOT EXISTS send_read_receipts BOOLEAN NOT NULL DEFAULT true;
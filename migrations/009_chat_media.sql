@@ -0,0 +1,16 @@
+-- Image messages. Files live in the private chat-media bucket under
+-- <matchId>/ and are only ever served through short-lived signed URLs.
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('chat-media', 'chat-media', false)
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS message_type TEXT NOT NULL DEFAULT 'text'
+  CHECK (message_type IN ('text', 'image'));
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS media_path TEXT;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS media_hash TEXT;
+ALTER TABLE messages ALTER COLUMN content DROP NOT NULL;
+
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_image_has_media;
+ALTER TABLE messages ADD CONSTRAINT messages_image_has_media
+  CHECK (message_type <> 'image' OR media_path IS NOT NULL);
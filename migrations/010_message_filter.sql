@@ -0,0 +1,59 @@
+-- Chat safety filter. Held messages are stored but only visible to their
+-- sender until a moderator releases them. Every hold/reject is logged so
+-- repeat offenders can be flagged.
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS moderation_status TEXT NOT NULL DEFAULT 'visible'
+  CHECK (moderation_status IN ('visible', 'held', 'removed'));
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS filter_flags JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_messages_held
+  ON messages (created_at) WHERE moderation_status = 'held';
+
+CREATE TABLE IF NOT EXISTS message_filter_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  match_id UUID,
+  message_id UUID,
+  action TEXT NOT NULL,
+  rule_ids TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_filter_events_user
+  ON message_filter_events (user_id, created_at DESC);
+
+-- Summaries only consider delivered messages
+CREATE OR REPLACE FUNCTION get_match_summaries(p_user_id UUID)
+RETURNS TABLE (
+  match_id UUID,
+  last_message_id UUID,
+  last_message_content TEXT,
+  last_message_sender_id UUID,
+  last_message_at TIMESTAMPTZ,
+  unread_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT
+    m.id,
+    last.id,
+    last.content,
+    last.sender_id,
+    last.created_at,
+    (
+      SELECT count(*) FROM messages u
+      WHERE u.match_id = m.id
+        AND u.sender_id <> p_user_id
+        AND u.is_read = false
+        AND u.moderation_status = 'visible'
+    )
+  FROM matches m
+  LEFT JOIN LATERAL (
+    SELECT id, content, sender_id, created_at
+    FROM messages
+    WHERE match_id = m.id
+      AND moderation_status = 'visible'
+    ORDER BY created_at DESC, id DESC
+    LIMIT 1
+  ) last ON true
+  WHERE m.user1_id = p_user_id OR m.user2_id = p_user_id;
+$$;
@@ -0,0 +1,43 @@
+-- Photo management: storage_path so files can be deleted, a clean 1..n
+-- display_order per user, and an atomic reorder function.
+
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS storage_path TEXT;
+
+UPDATE photos
+SET storage_path = substring(url FROM '/object/public/photos/(.*)$')
+WHERE storage_path IS NULL;
+
+-- Fix the gaps and collisions left by hand-deleted rows
+WITH ranked AS (
+  SELECT id, row_number() OVER (PARTITION BY user_id ORDER BY display_order, created_at, id) AS rn
+  FROM photos
+)
+UPDATE photos p SET display_order = ranked.rn
+FROM ranked WHERE ranked.id = p.id AND p.display_order IS DISTINCT FROM ranked.rn;
+
+-- Deferred so a reorder can shuffle positions inside one transaction
+ALTER TABLE photos DROP CONSTRAINT IF EXISTS photos_user_display_order_key;
+ALTER TABLE photos ADD CONSTRAINT photos_user_display_order_key
+  UNIQUE (user_id, display_order) DEFERRABLE INITIALLY DEFERRED;
+
+-- Set the order of all of a user's photos in one transaction. p_photo_ids
+-- must list every photo the user owns exactly once; position 1 is primary.
+CREATE OR REPLACE FUNCTION reorder_photos(p_user_id UUID, p_photo_ids UUID[])
+RETURNS VOID
+LANGUAGE plpgsql AS $$
+DECLARE
+  owned UUID[];
+BEGIN
+  SELECT array_agg(id ORDER BY id) INTO owned FROM photos WHERE user_id = p_user_id;
+
+  IF owned IS DISTINCT FROM (SELECT array_agg(DISTINCT x ORDER BY x) FROM unnest(p_photo_ids) x)
+     OR cardinality(p_photo_ids) <> cardinality(owned) THEN
+    RAISE EXCEPTION 'photo ids must match the user''s photos exactly' USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE photos p
+  SET display_order = o.position
+  FROM unnest(p_photo_ids) WITH ORDINALITY AS o(id, position)
+  WHERE p.id = o.id AND p.user_id = p_user_id;
+END;
+$$;
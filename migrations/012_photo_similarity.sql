@@ -0,0 +1,25 @@
+-- Perceptual hashes for near-duplicate detection. photo_dhash is a 64-bit
+-- difference hash as 16 hex chars, next to the exact SHA-256 photo_hash.
+-- Existing rows are filled in by `npm run backfill:photo-hashes`.
+
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS photo_dhash TEXT
+  CHECK (photo_dhash ~ '^[0-9a-f]{16}$');
+
+-- Photos owned by anyone but p_exclude_user_id whose dHash is within
+-- p_max_distance bits of p_dhash, closest first. A sequential scan, which
+-- is fine at our photo counts; revisit with a BK-tree or bucketed index if
+-- it shows up in upload latency.
+CREATE OR REPLACE FUNCTION find_similar_photos(p_dhash TEXT, p_max_distance INT, p_exclude_user_id UUID)
+RETURNS TABLE (id UUID, user_id UUID, url TEXT, distance INT)
+LANGUAGE sql STABLE AS $$
+  SELECT * FROM (
+    SELECT p.id, p.user_id, p.url,
+           bit_count(('x' || p.photo_dhash)::bit(64) # ('x' || p_dhash)::bit(64))::INT AS distance
+    FROM photos p
+    WHERE p.photo_dhash IS NOT NULL
+      AND p.user_id <> p_exclude_user_id
+  ) candidates
+  WHERE candidates.distance <= p_max_distance
+  ORDER BY candidates.distance, candidates.id
+  LIMIT 5;
+$$;
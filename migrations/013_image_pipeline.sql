@@ -0,0 +1,25 @@
+-- Server-side image pipeline. Each photo is stored as WebP variants with
+-- all metadata stripped; variants records them:
+--   { "thumb": { "path", "url", "width", "height" }, "card": ..., "full": ... }
+-- url/storage_path point at the full variant. Rows with variants NULL are
+-- legacy originals; `npm run reprocess:photos` converts them.
+
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS variants JSONB;
+
+-- EXIF fields kept for moderation only. Never selected by public routes.
+-- Location is stored as a flag, not coordinates.
+CREATE TABLE IF NOT EXISTS photo_exif (
+  photo_id UUID PRIMARY KEY REFERENCES photos(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  camera_make TEXT,
+  camera_model TEXT,
+  software TEXT,
+  taken_at TIMESTAMPTZ,
+  has_location BOOLEAN NOT NULL DEFAULT false,
+  original_width INT,
+  original_height INT,
+  original_format TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_photo_exif_user ON photo_exif (user_id);
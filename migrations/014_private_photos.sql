@@ -0,0 +1,34 @@
+-- Photos become private. Responses carry short-lived signed URLs built from
+-- storage paths, so the stored public URLs go away.
+
+UPDATE storage.buckets SET public = false WHERE id = 'photos';
+
+-- Rows from before 011 that never got a storage_path
+UPDATE photos
+SET storage_path = substring(url FROM '/object/public/photos/(.*)$')
+WHERE storage_path IS NULL AND url IS NOT NULL;
+
+-- Variants written by the image pipeline carried a url per size
+UPDATE photos
+SET variants = (SELECT jsonb_object_agg(key, value - 'url') FROM jsonb_each(variants))
+WHERE variants IS NOT NULL;
+
+-- find_similar_photos returned url; its return type changes so drop first
+DROP FUNCTION IF EXISTS find_similar_photos(TEXT, INT, UUID);
+
+ALTER TABLE photos DROP COLUMN IF EXISTS url;
+
+CREATE OR REPLACE FUNCTION find_similar_photos(p_dhash TEXT, p_max_distance INT, p_exclude_user_id UUID)
+RETURNS TABLE (id UUID, user_id UUID, storage_path TEXT, distance INT)
+LANGUAGE sql STABLE AS $$
+  SELECT * FROM (
+    SELECT p.id, p.user_id, p.storage_path,
+           bit_count(('x' || p.photo_dhash)::bit(64) # ('x' || p_dhash)::bit(64))::INT AS distance
+    FROM photos p
+    WHERE p.photo_dhash IS NOT NULL
+      AND p.user_id <> p_exclude_user_id
+  ) candidates
+  WHERE candidates.distance <= p_max_distance
+  ORDER BY candidates.distance, candidates.id
+  LIMIT 5;
+$$;
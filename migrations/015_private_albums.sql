@@ -0,0 +1,16 @@
+-- Private albums. Private photos are only shown to the owner and to matches
+-- they have granted. A grant belongs to its match: unmatching deletes it.
+
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS visibility TEXT NOT NULL DEFAULT 'public'
+  CHECK (visibility IN ('public', 'private'));
+
+CREATE TABLE IF NOT EXISTS album_grants (
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  grantee_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  match_id UUID NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (owner_id, grantee_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_album_grants_grantee ON album_grants (grantee_id);
+CREATE INDEX IF NOT EXISTS idx_album_grants_match ON album_grants (match_id);
@@ -0,0 +1,5 @@
+-- Opt-in visible watermarking. When on, new uploads get the username and
+-- site mark tiled over their card and full variants, and an unwatermarked
+-- "original" variant is kept for moderators only.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS watermark_photos BOOLEAN NOT NULL DEFAULT false;
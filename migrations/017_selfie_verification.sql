@@ -0,0 +1,56 @@
+-- Selfie verification. A request starts as a pose prompt, becomes pending
+-- once the selfie is in, and a moderator approves or rejects it. Approval
+-- sets users.is_verified / verified_at, which drive the badge.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_verified BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS verified_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS verification_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  prompt TEXT NOT NULL,
+  prompt_expires_at TIMESTAMPTZ NOT NULL,
+  status TEXT NOT NULL DEFAULT 'prompted'
+    CHECK (status IN ('prompted', 'pending', 'approved', 'rejected', 'expired')),
+  selfie_path TEXT,
+  exif JSONB,
+  submitted_at TIMESTAMPTZ,
+  reviewed_by UUID REFERENCES users(id),
+  reviewed_at TIMESTAMPTZ,
+  rejection_reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- At most one open request per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_verification_requests_open
+  ON verification_requests (user_id) WHERE status IN ('prompted', 'pending');
+
+CREATE INDEX IF NOT EXISTS idx_verification_requests_pending
+  ON verification_requests (submitted_at) WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_users_verified ON users (is_verified) WHERE is_verified;
+
+-- Selfies are moderator-only
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('verification', 'verification', false)
+ON CONFLICT (id) DO UPDATE SET public = false;
+
+-- Verification photos used to go through the public upload. They come off
+-- profiles here; their files are queued in legacy_verification_files for
+-- `npm run purge:verification-photos` to delete from the photos bucket.
+CREATE TABLE IF NOT EXISTS legacy_verification_files (
+  path TEXT PRIMARY KEY
+);
+
+INSERT INTO legacy_verification_files (path)
+SELECT f.path
+FROM photos p
+CROSS JOIN LATERAL (
+  SELECT p.storage_path AS path
+  UNION
+  SELECT v->>'path' FROM jsonb_each(COALESCE(p.variants, '{}'::jsonb)) AS e(size, v)
+) f
+WHERE p.photo_type = 'verification' AND f.path IS NOT NULL
+ON CONFLICT (path) DO NOTHING;
+
+DELETE FROM photos WHERE photo_type = 'verification';
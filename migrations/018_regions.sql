@@ -0,0 +1,13 @@
+-- Service regions. users.region holds the region id from config/regions.json
+-- and scopes discovery; users.city becomes the display name of the place
+-- the user registered from. Every existing user was normalized to 'toronto'
+-- (the old GTA cluster), so that is their region; their original city was
+-- never stored.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS region TEXT;
+
+UPDATE users SET region = 'toronto', city = 'Toronto'
+WHERE region IS NULL AND city = 'toronto';
+
+CREATE INDEX IF NOT EXISTS idx_users_region_discovery
+  ON users (region, created_at DESC) WHERE deleted_at IS NULL AND is_suspended = false;
@@ -0,0 +1,33 @@
+-- Waitlist for signups from outside the open regions. region_id and
+-- resolved_city are set when the city matched a (not yet enabled) region;
+-- normalized_city groups everything else for demand reporting.
+
+CREATE TABLE IF NOT EXISTS waitlist (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email TEXT NOT NULL UNIQUE,
+  raw_city TEXT NOT NULL,
+  normalized_city TEXT NOT NULL,
+  region_id TEXT,
+  resolved_city TEXT,
+  invited_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_region_pending
+  ON waitlist (region_id, created_at) WHERE invited_at IS NULL;
+
+-- Demand per place, biggest first. Places that resolved to a region are
+-- grouped under that region's city name; the rest by normalized text.
+CREATE OR REPLACE FUNCTION waitlist_demand()
+RETURNS TABLE (region_id TEXT, city TEXT, total BIGINT, waiting BIGINT, latest_at TIMESTAMPTZ)
+LANGUAGE sql STABLE AS $$
+  SELECT w.region_id,
+         COALESCE(w.resolved_city, w.normalized_city) AS city,
+         count(*) AS total,
+         count(*) FILTER (WHERE w.invited_at IS NULL) AS waiting,
+         max(w.created_at) AS latest_at
+  FROM waitlist w
+  GROUP BY w.region_id, COALESCE(w.resolved_city, w.normalized_city)
+  ORDER BY total DESC, city;
+$$;
@@ -0,0 +1,9 @@
+-- Approximate distance in discovery. users.postal_fsa holds only the first
+-- three characters of the user's postal code (the forward sortation area);
+-- its centroid comes from config/fsaCentroids.json, so no coordinates are
+-- stored. max_distance_km is how far away the user wants to see people.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS postal_fsa TEXT
+  CHECK (postal_fsa ~ '^[A-Z][0-9][A-Z]$');
+ALTER TABLE users ADD COLUMN IF NOT EXISTS max_distance_km INT NOT NULL DEFAULT 50
+  CHECK (max_distance_km BETWEEN 1 AND 250);
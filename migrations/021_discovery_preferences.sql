@@ -0,0 +1,9 @@
+-- Discovery preferences: { min_age, max_age, verified_only, photo_types,
+-- modes }. Validated and given defaults in utils/discovery.js; '{}' means
+-- every default. Applied in both directions by /api/profiles.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS discovery_preferences JSONB NOT NULL DEFAULT '{}'::jsonb
+  CHECK (jsonb_typeof(discovery_preferences) = 'object');
+
+CREATE INDEX IF NOT EXISTS idx_users_region_age
+  ON users (region, age) WHERE deleted_at IS NULL AND is_suspended = false;
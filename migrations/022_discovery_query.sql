@@ -0,0 +1,122 @@
+-- Discovery in the database. discovery_candidates holds every rule for who
+-- may be shown to whom (region, suspension and deletion, blocks in either
+-- direction, a public photo, mutual interest, both users' discovery
+-- preferences and distance limits); the feed and photo access both use it.
+-- discover_profiles leaves out people already swiped and pages with a
+-- keyset cursor, so a page is only short when no candidates are left.
+--
+-- Distances come from fsa_centroids, a copy of config/fsaCentroids.json.
+-- Fill it with `npm run sync:fsa-centroids` after running this migration
+-- and whenever that file changes.
+
+CREATE TABLE IF NOT EXISTS fsa_centroids (
+  fsa TEXT PRIMARY KEY CHECK (fsa ~ '^[A-Z][0-9][A-Z]$'),
+  lat DOUBLE PRECISION NOT NULL,
+  lng DOUBLE PRECISION NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_swipes_swiper ON swipes (swiper_id, swiped_id);
+CREATE INDEX IF NOT EXISTS idx_blocks_blocked ON blocks (blocked_id, blocker_id);
+CREATE INDEX IF NOT EXISTS idx_photos_user_public ON photos (user_id) WHERE visibility = 'public';
+
+CREATE OR REPLACE FUNCTION haversine_km(lat1 DOUBLE PRECISION, lng1 DOUBLE PRECISION, lat2 DOUBLE PRECISION, lng2 DOUBLE PRECISION)
+RETURNS DOUBLE PRECISION
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT 2 * 6371 * asin(sqrt(
+    sin(radians(lat2 - lat1) / 2) ^ 2 +
+    cos(radians(lat1)) * cos(radians(lat2)) * sin(radians(lng2 - lng1) / 2) ^ 2
+  ));
+$$;
+
+-- Everyone p_user_id may see in discovery, or with p_candidate_id just that
+-- one person if they qualify. Swipes are left to callers: photo access
+-- still applies after a swipe. Preference defaults match utils/discovery.js.
+CREATE OR REPLACE FUNCTION discovery_candidates(p_user_id UUID, p_verified_only BOOLEAN, p_candidate_id UUID DEFAULT NULL)
+RETURNS TABLE (id UUID, created_at TIMESTAMPTZ, distance_km DOUBLE PRECISION, photo_count BIGINT, shown_types TEXT[])
+LANGUAGE sql STABLE AS $$
+  WITH viewer AS (
+    SELECT u.id, u.region, u.gender, u.interested_in, u.age, u.mode, u.is_verified,
+           u.max_distance_km, fc.lat, fc.lng,
+           COALESCE((u.discovery_preferences->>'min_age')::int, 18) AS min_age,
+           COALESCE((u.discovery_preferences->>'max_age')::int, 99) AS max_age,
+           COALESCE((u.discovery_preferences->>'verified_only')::boolean, false) OR p_verified_only AS verified_only,
+           ARRAY(SELECT jsonb_array_elements_text(COALESCE(u.discovery_preferences->'photo_types', '[]'))) AS photo_types,
+           ARRAY(SELECT jsonb_array_elements_text(COALESCE(u.discovery_preferences->'modes', '[]'))) AS modes,
+           ARRAY(SELECT DISTINCT p.photo_type::text FROM photos p WHERE p.user_id = u.id AND p.visibility = 'public') AS shown_types
+    FROM users u
+    LEFT JOIN fsa_centroids fc ON fc.fsa = u.postal_fsa
+    WHERE u.id = p_user_id
+  ),
+  candidates AS (
+    SELECT c.id, c.created_at, c.max_distance_km, cp.photo_count, cp.shown_types,
+           CASE WHEN v.lat IS NOT NULL AND fc.lat IS NOT NULL
+                THEN haversine_km(v.lat, v.lng, fc.lat, fc.lng) END AS distance_km,
+           v.max_distance_km AS viewer_max_distance_km
+    FROM viewer v
+    JOIN users c ON c.region = v.region
+    LEFT JOIN fsa_centroids fc ON fc.fsa = c.postal_fsa
+    CROSS JOIN LATERAL (
+      SELECT count(*) AS photo_count, array_agg(DISTINCT p.photo_type::text) AS shown_types
+      FROM photos p WHERE p.user_id = c.id AND p.visibility = 'public'
+    ) cp
+    WHERE c.id <> v.id
+      AND (p_candidate_id IS NULL OR c.id = p_candidate_id)
+      AND c.is_suspended = false
+      AND c.deleted_at IS NULL
+      -- Mutual interest
+      AND v.gender = ANY(c.interested_in)
+      AND c.gender = ANY(v.interested_in)
+      -- The viewer's preferences
+      AND c.age BETWEEN v.min_age AND v.max_age
+      AND (NOT v.verified_only OR c.is_verified)
+      AND (cardinality(v.modes) = 0 OR c.mode = ANY(v.modes))
+      AND cp.photo_count > 0
+      AND cp.shown_types @> v.photo_types
+      -- The candidate's preferences
+      AND v.age BETWEEN COALESCE((c.discovery_preferences->>'min_age')::int, 18)
+                    AND COALESCE((c.discovery_preferences->>'max_age')::int, 99)
+      AND (NOT COALESCE((c.discovery_preferences->>'verified_only')::boolean, false) OR v.is_verified)
+      AND (jsonb_array_length(COALESCE(c.discovery_preferences->'modes', '[]')) = 0
+           OR c.discovery_preferences->'modes' ? v.mode)
+      AND v.shown_types @> ARRAY(SELECT jsonb_array_elements_text(COALESCE(c.discovery_preferences->'photo_types', '[]')))
+      AND NOT EXISTS (
+        SELECT 1 FROM blocks b
+        WHERE (b.blocker_id = v.id AND b.blocked_id = c.id)
+           OR (b.blocker_id = c.id AND b.blocked_id = v.id)
+      )
+  )
+  SELECT c.id, c.created_at, c.distance_km, c.photo_count, c.shown_types
+  FROM candidates c
+  -- Both users' distance limits; unknown distances don't exclude anyone
+  WHERE c.distance_km IS NULL
+     OR (c.distance_km <= c.viewer_max_distance_km AND c.distance_km <= c.max_distance_km);
+$$;
+
+-- The feed for p_user_id, nearest first, then newest first. Profiles
+-- without a known postal area sort after everyone else (sort_key is then
+-- 1e9). The cursor is the last row's (sort_key, created_at, id); pass NULLs
+-- for the first page.
+CREATE OR REPLACE FUNCTION discover_profiles(
+  p_user_id UUID,
+  p_verified_only BOOLEAN,
+  p_cursor_sort_key DOUBLE PRECISION,
+  p_cursor_created_at TIMESTAMPTZ,
+  p_cursor_id UUID,
+  p_limit INT
+)
+RETURNS TABLE (id UUID, distance_km DOUBLE PRECISION, sort_key DOUBLE PRECISION, created_at TIMESTAMPTZ)
+LANGUAGE sql STABLE AS $$
+  SELECT c.id, c.distance_km, COALESCE(c.distance_km, 1e9) AS sort_key, c.created_at
+  FROM discovery_candidates(p_user_id, p_verified_only) c
+  WHERE NOT EXISTS (
+      SELECT 1 FROM swipes s WHERE s.swiper_id = p_user_id AND s.swiped_id = c.id
+    )
+    AND (
+      p_cursor_id IS NULL
+      OR COALESCE(c.distance_km, 1e9) > p_cursor_sort_key
+      OR (COALESCE(c.distance_km, 1e9) = p_cursor_sort_key
+          AND (c.created_at, c.id) < (p_cursor_created_at, p_cursor_id))
+    )
+  ORDER BY sort_key ASC, c.created_at DESC, c.id DESC
+  LIMIT p_limit;
+$$;
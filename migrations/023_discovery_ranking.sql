@@ -0,0 +1,234 @@
+-- Ranked discovery. Candidates are the same as in 022 (discovery_candidates,
+-- minus people already swiped) but ordered by a score instead of distance.
+-- Each signal is scaled to 0..1 and multiplied by its weight from
+-- config/discoveryRanking.json, which the server passes in as p_ranking:
+--   activity      most recent session use, halving every activity_half_life_days
+--   completeness  public photos, distinct photo types and a bio
+--   shared_likes  people who liked both the candidate and the viewer
+--   liked_me      the candidate already liked the viewer
+--   new_profile   account age, halving every new_profile_half_life_days
+--   proximity     closeness within the viewer's max distance
+--
+-- Scores move all the time (likes, activity), so paging over a live score
+-- would skip or repeat people. Instead the first page snapshots the ranked
+-- list into a deck, and later pages walk the deck by position. A deck holds
+-- p_size people at a time; when paging reaches its end it is extended with
+-- the next best people not already in it, until nobody is left. Every first
+-- page gets its own deck, so several devices can page at once; decks are
+-- dropped a day after they were built.
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user_last_used ON sessions (user_id, last_used_at DESC);
+CREATE INDEX IF NOT EXISTS idx_swipes_liked ON swipes (swiped_id, swiper_id) WHERE direction = 'like';
+
+DROP FUNCTION IF EXISTS discover_profiles(UUID, BOOLEAN, DOUBLE PRECISION, TIMESTAMPTZ, UUID, INT);
+
+CREATE TABLE IF NOT EXISTS discovery_decks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  verified_only BOOLEAN NOT NULL DEFAULT false,
+  -- Set once ranking returned fewer people than asked for
+  exhausted BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_discovery_decks_user ON discovery_decks (user_id);
+CREATE INDEX IF NOT EXISTS idx_discovery_decks_created ON discovery_decks (created_at);
+
+CREATE TABLE IF NOT EXISTS discovery_deck_entries (
+  deck_id UUID NOT NULL REFERENCES discovery_decks(id) ON DELETE CASCADE,
+  position INT NOT NULL,
+  candidate_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  distance_km DOUBLE PRECISION,
+  activity DOUBLE PRECISION NOT NULL,
+  completeness DOUBLE PRECISION NOT NULL,
+  shared_likes DOUBLE PRECISION NOT NULL,
+  liked_me DOUBLE PRECISION NOT NULL,
+  new_profile DOUBLE PRECISION NOT NULL,
+  proximity DOUBLE PRECISION NOT NULL,
+  score DOUBLE PRECISION NOT NULL,
+  PRIMARY KEY (deck_id, position)
+);
+
+-- p_user_id's candidates with their signals and score, best first
+CREATE OR REPLACE FUNCTION rank_discovery_candidates(p_user_id UUID, p_verified_only BOOLEAN, p_ranking JSONB)
+RETURNS TABLE (
+  id UUID,
+  created_at TIMESTAMPTZ,
+  distance_km DOUBLE PRECISION,
+  activity DOUBLE PRECISION,
+  completeness DOUBLE PRECISION,
+  shared_likes DOUBLE PRECISION,
+  liked_me DOUBLE PRECISION,
+  new_profile DOUBLE PRECISION,
+  proximity DOUBLE PRECISION,
+  score DOUBLE PRECISION
+)
+LANGUAGE sql STABLE AS $$
+  WITH viewer AS (
+    SELECT u.id, u.max_distance_km FROM users u WHERE u.id = p_user_id
+  ),
+  my_likers AS (
+    SELECT s.swiper_id FROM swipes s WHERE s.swiped_id = p_user_id AND s.direction = 'like'
+  ),
+  shared AS (
+    SELECT s.swiped_id, count(*) AS likers
+    FROM swipes s
+    JOIN my_likers ml ON ml.swiper_id = s.swiper_id
+    WHERE s.direction = 'like'
+    GROUP BY s.swiped_id
+  ),
+  candidates AS (
+    SELECT dc.id, dc.created_at, dc.distance_km, dc.photo_count, dc.shown_types, u.bio
+    FROM discovery_candidates(p_user_id, p_verified_only) dc
+    JOIN users u ON u.id = dc.id
+    WHERE NOT EXISTS (
+      SELECT 1 FROM swipes s WHERE s.swiper_id = p_user_id AND s.swiped_id = dc.id
+    )
+  ),
+  signals AS (
+    SELECT c.id, c.created_at, c.distance_km,
+           COALESCE(power(0.5,
+             GREATEST(extract(epoch FROM now() - last.used_at)::float8 / 86400, 0)
+               / (p_ranking->>'activity_half_life_days')::float8
+           ), 0) AS activity,
+           (
+             LEAST(c.photo_count, (p_ranking->>'complete_photo_count')::int)::float8 / (p_ranking->>'complete_photo_count')::int
+             + LEAST(cardinality(c.shown_types), (p_ranking->>'complete_photo_types')::int)::float8 / (p_ranking->>'complete_photo_types')::int
+             + CASE WHEN btrim(COALESCE(c.bio, '')) <> '' THEN 1 ELSE 0 END
+           ) / 3 AS completeness,
+           LEAST(COALESCE(sh.likers, 0), (p_ranking->>'shared_likes_cap')::int)::float8
+             / (p_ranking->>'shared_likes_cap')::int AS shared_likes,
+           CASE WHEN EXISTS (SELECT 1 FROM my_likers ml WHERE ml.swiper_id = c.id) THEN 1 ELSE 0 END::float8 AS liked_me,
+           power(0.5,
+             GREATEST(extract(epoch FROM now() - c.created_at)::float8 / 86400, 0)
+               / (p_ranking->>'new_profile_half_life_days')::float8
+           ) AS new_profile,
+           CASE WHEN c.distance_km IS NULL THEN 0
+                ELSE 1 - LEAST(c.distance_km / v.max_distance_km, 1) END AS proximity
+    FROM candidates c
+    CROSS JOIN viewer v
+    LEFT JOIN shared sh ON sh.swiped_id = c.id
+    LEFT JOIN LATERAL (
+      SELECT max(se.last_used_at) AS used_at FROM sessions se WHERE se.user_id = c.id
+    ) last ON true
+  ),
+  scored AS (
+    SELECT s.*,
+           s.activity * (p_ranking->'weights'->>'activity')::float8
+           + s.completeness * (p_ranking->'weights'->>'completeness')::float8
+           + s.shared_likes * (p_ranking->'weights'->>'shared_likes')::float8
+           + s.liked_me * (p_ranking->'weights'->>'liked_me')::float8
+           + s.new_profile * (p_ranking->'weights'->>'new_profile')::float8
+           + s.proximity * (p_ranking->'weights'->>'proximity')::float8 AS score
+    FROM signals s
+  )
+  SELECT s.id, s.created_at, s.distance_km,
+         s.activity, s.completeness, s.shared_likes, s.liked_me, s.new_profile, s.proximity, s.score
+  FROM scored s
+  ORDER BY s.score DESC, s.created_at DESC, s.id DESC;
+$$;
+
+-- Append the next p_size best candidates not already in the deck and
+-- return how many were added
+CREATE OR REPLACE FUNCTION extend_discovery_deck(p_deck_id UUID, p_user_id UUID, p_ranking JSONB, p_size INT)
+RETURNS INT
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_verified_only BOOLEAN;
+  v_last_position INT;
+  v_added INT;
+BEGIN
+  SELECT d.verified_only INTO v_verified_only
+  FROM discovery_decks d
+  WHERE d.id = p_deck_id AND d.user_id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN 0;
+  END IF;
+
+  SELECT COALESCE(max(e.position), 0) INTO v_last_position
+  FROM discovery_deck_entries e
+  WHERE e.deck_id = p_deck_id;
+
+  INSERT INTO discovery_deck_entries (
+    deck_id, position, candidate_id, distance_km,
+    activity, completeness, shared_likes, liked_me, new_profile, proximity, score
+  )
+  SELECT p_deck_id,
+         v_last_position + row_number() OVER (ORDER BY r.score DESC, r.created_at DESC, r.id DESC),
+         r.id, r.distance_km,
+         r.activity, r.completeness, r.shared_likes, r.liked_me, r.new_profile, r.proximity, r.score
+  FROM (
+    SELECT * FROM rank_discovery_candidates(p_user_id, v_verified_only, p_ranking) rc
+    WHERE NOT EXISTS (
+      SELECT 1 FROM discovery_deck_entries e WHERE e.deck_id = p_deck_id AND e.candidate_id = rc.id
+    )
+    ORDER BY rc.score DESC, rc.created_at DESC, rc.id DESC
+    LIMIT p_size
+  ) r;
+
+  GET DIAGNOSTICS v_added = ROW_COUNT;
+
+  IF v_added < p_size THEN
+    UPDATE discovery_decks SET exhausted = true WHERE id = p_deck_id;
+  END IF;
+
+  RETURN v_added;
+END;
+$$;
+
+-- Start a new deck for p_user_id with the top p_size candidates and return
+-- its id. Clears out decks built more than a day ago.
+CREATE OR REPLACE FUNCTION build_discovery_deck(p_user_id UUID, p_verified_only BOOLEAN, p_ranking JSONB, p_size INT)
+RETURNS UUID
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_deck_id UUID;
+BEGIN
+  DELETE FROM discovery_decks WHERE created_at < now() - interval '1 day';
+
+  INSERT INTO discovery_decks (user_id, verified_only)
+  VALUES (p_user_id, p_verified_only)
+  RETURNING id INTO v_deck_id;
+
+  PERFORM extend_discovery_deck(v_deck_id, p_user_id, p_ranking, p_size);
+
+  RETURN v_deck_id;
+END;
+$$;
+
+-- The next p_limit entries of a deck after p_after_position (0 for the
+-- start). People who stopped qualifying since the snapshot (blocked,
+-- suspended, swiped on another device, preferences changed) are skipped,
+-- so a page is only short when the deck needs extending or is exhausted.
+CREATE OR REPLACE FUNCTION discovery_deck_page(p_deck_id UUID, p_user_id UUID, p_after_position INT, p_limit INT)
+RETURNS TABLE (
+  position INT,
+  id UUID,
+  distance_km DOUBLE PRECISION,
+  activity DOUBLE PRECISION,
+  completeness DOUBLE PRECISION,
+  shared_likes DOUBLE PRECISION,
+  liked_me DOUBLE PRECISION,
+  new_profile DOUBLE PRECISION,
+  proximity DOUBLE PRECISION,
+  score DOUBLE PRECISION
+)
+LANGUAGE sql STABLE AS $$
+  SELECT e.position, e.candidate_id, e.distance_km,
+         e.activity, e.completeness, e.shared_likes, e.liked_me, e.new_profile, e.proximity, e.score
+  FROM discovery_decks d
+  JOIN discovery_deck_entries e ON e.deck_id = d.id
+  WHERE d.id = p_deck_id
+    AND d.user_id = p_user_id
+    AND e.position > p_after_position
+    AND NOT EXISTS (
+      SELECT 1 FROM swipes s WHERE s.swiper_id = p_user_id AND s.swiped_id = e.candidate_id
+    )
+    AND EXISTS (
+      SELECT 1 FROM discovery_candidates(p_user_id, d.verified_only, e.candidate_id)
+    )
+  ORDER BY e.position
+  LIMIT p_limit;
+$$;
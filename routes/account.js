@@ -0,0 +1,59 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { accountExportLimiter, authLimiter } = require('../middleware/rateLimiter');
+const { buildAccountExport, scheduleAccountDeletion, DELETION_GRACE_DAYS } = require('../utils/account');
+
+// Download everything we hold about the current user
+router.get('/export', authenticate, accountExportLimiter, async (req, res) => {
+  try {
+    const archive = await buildAccountExport(req.userId, req.supabase);
+
+    res.set('Content-Disposition', `attachment; filename="scentedsolemates-export-${req.userId}.json"`);
+    res.json(archive);
+  } catch (err) {
+    console.error('Account export error:', err);
+    res.status(500).json({ error: 'Failed to export account data' });
+  }
+});
+
+// Delete the account. Hidden immediately, purged after the grace period.
+router.delete('/', authenticate, authLimiter, async (req, res) => {
+  try {
+    const { password } = req.body || {};
+
+    if (!password) {
+      return res.status(400).json({ error: 'Password required to delete your account' });
+    }
+
+    const { data: user, error } = await req.supabase
+      .from('users')
+      .select('password_hash')
+      .eq('id', req.userId)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const validPassword = await bcrypt.compare(password, user.password_hash);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Incorrect password' });
+    }
+
+    const scheduledFor = await scheduleAccountDeletion(req.userId, req.supabase);
+
+    console.log('[ACCOUNT] Deletion scheduled for user:', req.userId, 'at', scheduledFor.toISOString());
+    res.json({
+      success: true,
+      deletion_scheduled_for: scheduledFor.toISOString(),
+      message: `Your account is hidden and will be permanently deleted in ${DELETION_GRACE_DAYS} days. Log in before then to restore it.`
+    });
+  } catch (err) {
+    console.error('Account deletion error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
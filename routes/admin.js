@@ -0,0 +1,589 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { resolveModerationSource, resolveReportModeration, logAdminAction } = require('../utils/moderation');
+const { scoreReportedUser } = require('../utils/reportScoring');
+const { attachMediaUrls } = require('../utils/chatMedia');
+const { emitToUsers, closeUserSockets } = require('../utils/realtime');
+const { orderPhotos, signPhotos, photoUrl } = require('../utils/photos');
+const { signSelfies } = require('../utils/selfieVerification');
+const { getRegion } = require('../utils/regions');
+
+// Every admin route requires an authenticated admin
+router.use(authenticate, requireAdmin);
+
+const REPORT_STATUSES = ['pending', 'actioned', 'dismissed'];
+const REPORT_REASONS = ['spam', 'fake', 'inappropriate', 'other'];
+
+function parsePaging(query) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), 100);
+  const offset = Math.max(parseInt(query.offset) || 0, 0);
+  return { limit, offset };
+}
+
+async function loadTargetUser(userId, supabase) {
+  const { data } = await supabase
+    .from('users')
+    .select('id, is_suspended')
+    .eq('id', userId)
+    .maybeSingle();
+  return data;
+}
+
+// Report queue, newest first. Filters: status (default pending), reason, reported_id
+router.get('/reports', async (req, res) => {
+  try {
+    const { status = 'pending', reason, reported_id } = req.query;
+    const { limit, offset } = parsePaging(req.query);
+
+    if (!REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${REPORT_STATUSES.join(', ')}` });
+    }
+    if (reason && !REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ error: 'Invalid report reason' });
+    }
+
+    let query = req.supabase
+      .from('reports')
+      .select(`
+        id, reason, details, status, weight, score_breakdown, created_at, reviewed_at,
+        reporter:reporter_id(id, username),
+        reported:reported_id(id, username, is_suspended)
+      `, { count: 'exact' })
+      .eq('status', status)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (reason) query = query.eq('reason', reason);
+    if (reported_id) query = query.eq('reported_id', reported_id);
+
+    const { data, count, error } = await query;
+
+    if (error) {
+      console.error('Admin reports fetch error:', error);
+      return res.status(500).json({ error: 'Failed to fetch reports' });
+    }
+
+    res.json({ reports: data || [], total: count || 0, limit, offset });
+  } catch (err) {
+    console.error('Admin reports error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Moderation queue. Filters: status (default pending), source
+router.get('/queue', async (req, res) => {
+  try {
+    const { status = 'pending', source } = req.query;
+    const { limit, offset } = parsePaging(req.query);
+
+    if (!['pending', 'resolved'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status. Must be one of: pending, resolved' });
+    }
+
+    let query = req.supabase
+      .from('moderation_queue')
+      .select('*, user:user_id(id, username, is_suspended)', { count: 'exact' })
+      .eq('status', status)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (source) query = query.eq('source', source);
+
+    const { data, count, error } = await query;
+
+    if (error) {
+      console.error('Admin queue fetch error:', error);
+      return res.status(500).json({ error: 'Failed to fetch moderation queue' });
+    }
+
+    res.json({ items: data || [], total: count || 0, limit, offset });
+  } catch (err) {
+    console.error('Admin queue error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Everything a moderator needs to decide on a user
+router.get('/users/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const { data: user, error } = await req.supabase
+      .from('users')
+      .select('*, photos(*, exif:photo_exif(*))')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    delete user.password_hash;
+    const photos = orderPhotos(user.photos);
+    // Moderators see the unwatermarked original where there is one
+    const signed = await signPhotos(photos, ['original'], req.supabase);
+    user.photos = photos.map(photo => ({ ...photo, url: photoUrl(photo, 'original', signed) }));
+
+    const [reportsAgainst, reportsFiled, notes, queue, reportScore] = await Promise.all([
+      req.supabase
+        .from('reports')
+        .select('id, reason, details, status, weight, score_breakdown, created_at, reviewed_at, reporter:reporter_id(id, username)')
+        .eq('reported_id', userId)
+        .order('created_at', { ascending: false }),
+      req.supabase
+        .from('reports')
+        .select('id', { count: 'exact', head: true })
+        .eq('reporter_id', userId),
+      req.supabase
+        .from('admin_notes')
+        .select('id, note, created_at, admin:admin_id(id, username)')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false }),
+      req.supabase
+        .from('moderation_queue')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false }),
+      scoreReportedUser(userId, req.supabase)
+    ]);
+
+    await logAdminAction(req.userId, 'view_user', userId, {}, req.supabase);
+
+    res.json({
+      user,
+      reports: reportsAgainst.data || [],
+      report_score: reportScore,
+      reports_filed_count: reportsFiled.count || 0,
+      notes: notes.data || [],
+      queue: queue.data || []
+    });
+  } catch (err) {
+    console.error('Admin user view error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// A single photo with its private EXIF, e.g. one linked from a queue item
+router.get('/photos/:photoId', async (req, res) => {
+  try {
+    const { photoId } = req.params;
+
+    const { data: photo, error } = await req.supabase
+      .from('photos')
+      .select('*, exif:photo_exif(*), owner:user_id(id, username)')
+      .eq('id', photoId)
+      .maybeSingle();
+
+    if (error || !photo) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    const signed = await signPhotos([photo], ['original'], req.supabase);
+    await logAdminAction(req.userId, 'view_photo', photo.user_id, { photo_id: photoId }, req.supabase);
+
+    res.json({ photo: { ...photo, url: photoUrl(photo, 'original', signed) } });
+  } catch (err) {
+    console.error('Admin photo view error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/users/:userId/suspend', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body || {};
+
+    if (userId === req.userId) {
+      return res.status(400).json({ error: 'Cannot suspend yourself' });
+    }
+
+    const target = await loadTargetUser(userId, req.supabase);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const now = new Date().toISOString();
+
+    const { error } = await req.supabase
+      .from('users')
+      .update({ is_suspended: true, suspended_at: now })
+      .eq('id', userId);
+
+    if (error) {
+      console.error('Admin suspend error:', error);
+      return res.status(500).json({ error: 'Failed to suspend user' });
+    }
+
+    await closeUserSockets(userId, { code: 4003, reason: 'ACCOUNT_SUSPENDED' });
+
+    await req.supabase
+      .from('reports')
+      .update({ status: 'actioned', reviewed_by: req.userId, reviewed_at: now })
+      .eq('reported_id', userId)
+      .eq('status', 'pending');
+
+    await resolveReportModeration(userId, 'suspended', req.userId, req.supabase);
+    await logAdminAction(req.userId, 'suspend', userId, { reason: reason || null }, req.supabase);
+
+    res.json({ success: true, message: 'User suspended' });
+  } catch (err) {
+    console.error('Admin suspend error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/users/:userId/unsuspend', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body || {};
+
+    const target = await loadTargetUser(userId, req.supabase);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const now = new Date().toISOString();
+
+    const { error } = await req.supabase
+      .from('users')
+      .update({ is_suspended: false, suspended_at: null })
+      .eq('id', userId);
+
+    if (error) {
+      console.error('Admin unsuspend error:', error);
+      return res.status(500).json({ error: 'Failed to unsuspend user' });
+    }
+
+    // Lifting a suspension means the open reports didn't hold up
+    await req.supabase
+      .from('reports')
+      .update({ status: 'dismissed', reviewed_by: req.userId, reviewed_at: now })
+      .eq('reported_id', userId)
+      .eq('status', 'pending');
+
+    await resolveReportModeration(userId, 'unsuspended', req.userId, req.supabase);
+    await logAdminAction(req.userId, 'unsuspend', userId, { reason: reason || null }, req.supabase);
+
+    res.json({ success: true, message: 'User unsuspended' });
+  } catch (err) {
+    console.error('Admin unsuspend error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Dismiss pending reports without changing suspension. Pass reportIds to
+// dismiss only some of them; otherwise all pending reports are dismissed
+// and the user's report-driven queue items are closed.
+router.post('/users/:userId/dismiss', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reportIds, reason } = req.body || {};
+
+    if (reportIds !== undefined && (!Array.isArray(reportIds) || reportIds.length === 0)) {
+      return res.status(400).json({ error: 'reportIds must be a non-empty array' });
+    }
+
+    const target = await loadTargetUser(userId, req.supabase);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    let query = req.supabase
+      .from('reports')
+      .update({ status: 'dismissed', reviewed_by: req.userId, reviewed_at: new Date().toISOString() })
+      .eq('reported_id', userId)
+      .eq('status', 'pending');
+
+    if (reportIds) query = query.in('id', reportIds);
+
+    const { data: dismissed, error } = await query.select('id');
+
+    if (error) {
+      console.error('Admin dismiss error:', error);
+      return res.status(500).json({ error: 'Failed to dismiss reports' });
+    }
+
+    if (!reportIds) {
+      await resolveReportModeration(userId, 'dismissed', req.userId, req.supabase);
+    }
+
+    const dismissedIds = (dismissed || []).map(r => r.id);
+    await logAdminAction(req.userId, 'dismiss', userId, { reportIds: dismissedIds, reason: reason || null }, req.supabase);
+
+    res.json({ success: true, dismissed: dismissedIds.length });
+  } catch (err) {
+    console.error('Admin dismiss error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/users/:userId/notes', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { note } = req.body || {};
+
+    if (!note || typeof note !== 'string' || !note.trim()) {
+      return res.status(400).json({ error: 'Note required' });
+    }
+
+    if (note.length > 5000) {
+      return res.status(400).json({ error: 'Note too long (max 5000 characters)' });
+    }
+
+    const target = await loadTargetUser(userId, req.supabase);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { data, error } = await req.supabase
+      .from('admin_notes')
+      .insert({ user_id: userId, admin_id: req.userId, note: note.trim() })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Admin note error:', error);
+      return res.status(500).json({ error: 'Failed to save note' });
+    }
+
+    await logAdminAction(req.userId, 'add_note', userId, { noteId: data.id }, req.supabase);
+
+    res.json(data);
+  } catch (err) {
+    console.error('Admin note error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+const VERIFICATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Selfie verification queue, oldest first. Each request comes with the
+// user's profile photos so the selfie can be compared side by side.
+router.get('/verifications', async (req, res) => {
+  try {
+    const { limit, offset } = parsePaging(req.query);
+    const status = VERIFICATION_STATUSES.includes(req.query.status) ? req.query.status : 'pending';
+
+    const { data, count, error } = await req.supabase
+      .from('verification_requests')
+      .select('id, prompt, status, selfie_path, exif, submitted_at, reviewed_at, rejection_reason, user:user_id(id, username, is_verified, photos(*))', { count: 'exact' })
+      .eq('status', status)
+      .order('submitted_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('Admin verifications fetch error:', error);
+      return res.status(500).json({ error: 'Failed to fetch verifications' });
+    }
+
+    const requests = await signSelfies(data || [], req.supabase);
+    const allPhotos = requests.flatMap(r => r.user?.photos || []);
+    const signed = await signPhotos(allPhotos, ['original'], req.supabase);
+
+    res.json({
+      requests: requests.map(r => ({
+        ...r,
+        user: r.user && {
+          ...r.user,
+          photos: orderPhotos(r.user.photos).map(photo => ({
+            id: photo.id,
+            photo_type: photo.photo_type,
+            visibility: photo.visibility,
+            url: photoUrl(photo, 'original', signed)
+          }))
+        }
+      })),
+      total: count || 0,
+      limit,
+      offset
+    });
+  } catch (err) {
+    console.error('Admin verifications error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Approve sets the verified badge; reject records an optional reason the
+// user will see
+router.post('/verifications/:requestId/:decision(approve|reject)', async (req, res) => {
+  try {
+    const { requestId, decision } = req.params;
+    const { reason } = req.body || {};
+    const approve = decision === 'approve';
+    const now = new Date().toISOString();
+
+    const { data: request, error } = await req.supabase
+      .from('verification_requests')
+      .update({
+        status: approve ? 'approved' : 'rejected',
+        reviewed_by: req.userId,
+        reviewed_at: now,
+        rejection_reason: approve ? null : (reason || null)
+      })
+      .eq('id', requestId)
+      .eq('status', 'pending')
+      .select('id, user_id, status')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Admin verification decision error:', error);
+      return res.status(500).json({ error: 'Failed to update verification' });
+    }
+
+    if (!request) {
+      return res.status(404).json({ error: 'Pending verification not found' });
+    }
+
+    if (approve) {
+      const { error: userError } = await req.supabase
+        .from('users')
+        .update({ is_verified: true, verified_at: now })
+        .eq('id', request.user_id);
+
+      if (userError) {
+        console.error('Admin verification approve error:', userError);
+        return res.status(500).json({ error: 'Failed to verify user' });
+      }
+    }
+
+    await resolveModerationSource(request.user_id, 'selfie_verification', approve ? 'verified' : 'verification_rejected', req.userId, req.supabase);
+    await logAdminAction(req.userId, `verification_${decision}`, request.user_id, { requestId, reason: reason || null }, req.supabase);
+    await emitToUsers([request.user_id], 'verification:updated', { status: request.status });
+
+    res.json({ success: true, status: request.status });
+  } catch (err) {
+    console.error('Admin verification decision error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Waitlist demand, to pick the next market. cities is per place; regions
+// rolls up the places that matched a configured region.
+router.get('/waitlist/demand', async (req, res) => {
+  try {
+    const { data, error } = await req.supabase.rpc('waitlist_demand');
+
+    if (error) {
+      console.error('Admin waitlist demand error:', error);
+      return res.status(500).json({ error: 'Failed to fetch waitlist demand' });
+    }
+
+    const byRegion = new Map();
+    (data || []).filter(row => row.region_id).forEach(row => {
+      const region = getRegion(row.region_id);
+      const entry = byRegion.get(row.region_id) || {
+        region_id: row.region_id,
+        name: region?.name || row.region_id,
+        enabled: !!region?.enabled,
+        total: 0,
+        waiting: 0
+      };
+      entry.total += Number(row.total);
+      entry.waiting += Number(row.waiting);
+      byRegion.set(row.region_id, entry);
+    });
+
+    res.json({
+      cities: (data || []).map(row => ({ ...row, total: Number(row.total), waiting: Number(row.waiting) })),
+      regions: [...byRegion.values()].sort((a, b) => b.total - a.total)
+    });
+  } catch (err) {
+    console.error('Admin waitlist demand error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Messages held by the chat safety filter, oldest first
+router.get('/messages/held', async (req, res) => {
+  try {
+    const { limit, offset } = parsePaging(req.query);
+
+    const { data, count, error } = await req.supabase
+      .from('messages')
+      .select('*, sender:sender_id(id, username)', { count: 'exact' })
+      .eq('moderation_status', 'held')
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('Admin held messages fetch error:', error);
+      return res.status(500).json({ error: 'Failed to fetch held messages' });
+    }
+
+    const messages = await attachMediaUrls(data || [], req.supabase);
+    res.json({ messages, total: count || 0, limit, offset });
+  } catch (err) {
+    console.error('Admin held messages error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Release a held message (deliver it) or remove it for good
+router.post('/messages/:messageId/:decision(release|remove)', async (req, res) => {
+  try {
+    const { messageId, decision } = req.params;
+    const release = decision === 'release';
+
+    const { data: message, error } = await req.supabase
+      .from('messages')
+      .update({ moderation_status: release ? 'visible' : 'removed' })
+      .eq('id', messageId)
+      .eq('moderation_status', 'held')
+      .select('*, match:match_id(user1_id, user2_id)')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Admin message decision error:', error);
+      return res.status(500).json({ error: 'Failed to update message' });
+    }
+
+    if (!message) {
+      return res.status(404).json({ error: 'Held message not found' });
+    }
+
+    if (release && message.match) {
+      const { match, ...rest } = message;
+      const [delivered] = await attachMediaUrls([rest], req.supabase);
+      await emitToUsers([match.user1_id, match.user2_id], 'message:new', delivered);
+    }
+
+    await logAdminAction(req.userId, `message_${decision}`, message.sender_id, { messageId }, req.supabase);
+
+    res.json({ success: true, moderation_status: release ? 'visible' : 'removed' });
+  } catch (err) {
+    console.error('Admin message decision error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Audit trail, newest first. Filters: admin_id, target_user_id, action
+router.get('/audit', async (req, res) => {
+  try {
+    const { admin_id, target_user_id, action } = req.query;
+    const { limit, offset } = parsePaging(req.query);
+
+    let query = req.supabase
+      .from('admin_audit_log')
+      .select('*, admin:admin_id(id, username)', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (admin_id) query = query.eq('admin_id', admin_id);
+    if (target_user_id) query = query.eq('target_user_id', target_user_id);
+    if (action) query = query.eq('action', action);
+
+    const { data, count, error } = await query;
+
+    if (error) {
+      console.error('Admin audit fetch error:', error);
+      return res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+
+    res.json({ entries: data || [], total: count || 0, limit, offset });
+  } catch (err) {
+    console.error('Admin audit error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
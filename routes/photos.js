@@ -0,0 +1,256 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { orderPhotos, presentPhotos, photoStoragePaths } = require('../utils/photos');
+const { photoRelationship, canViewPhotos } = require('../utils/photoAccess');
+const { PHOTO_VISIBILITIES, hasAlbumAccess, visiblePhotos, grantAlbum, revokeAlbum } = require('../utils/albums');
+const { emitToUsers } = require('../utils/realtime');
+
+async function loadOwnPhotos(userId, supabase) {
+  const { data, error } = await supabase
+    .from('photos')
+    .select('id, storage_path, variants, display_order, photo_type, visibility')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return orderPhotos(data);
+}
+
+async function applyOrder(userId, photoIds, supabase) {
+  const { error } = await supabase.rpc('reorder_photos', {
+    p_user_id: userId,
+    p_photo_ids: photoIds
+  });
+  return error;
+}
+
+// List own photos in display order
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const photos = await loadOwnPhotos(req.userId, req.supabase);
+    res.json(await presentPhotos(photos, 'card', req.supabase));
+  } catch (err) {
+    console.error('Photos fetch error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Fresh signed URLs for another user's photos, e.g. once the ones in the
+// feed have expired. size: thumb, card (default) or full.
+router.get('/users/:userId', authenticate, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const size = ['thumb', 'card', 'full'].includes(req.query.size) ? req.query.size : 'card';
+
+    const relationship = await photoRelationship(req.userId, userId, req.supabase);
+    if (!canViewPhotos(relationship)) {
+      // Same answer whether the user is blocked, hidden or doesn't exist
+      return res.status(404).json({ error: 'Photos not found' });
+    }
+
+    // Private photos need a match plus a grant from the owner
+    const includePrivate = relationship === 'self' ||
+      (relationship === 'matched' && await hasAlbumAccess(req.userId, userId, req.supabase));
+
+    const photos = visiblePhotos(await loadOwnPhotos(userId, req.supabase), includePrivate);
+    res.json({ photos: await presentPhotos(photos, size, req.supabase), relationship, album_access: includePrivate });
+  } catch (err) {
+    console.error('User photos fetch error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Matches who can see your private album
+router.get('/album/grants', authenticate, async (req, res) => {
+  try {
+    const { data, error } = await req.supabase
+      .from('album_grants')
+      .select('match_id, created_at, grantee:grantee_id(id, username)')
+      .eq('owner_id', req.userId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Album grants fetch error:', error);
+      return res.status(500).json({ error: 'Failed to fetch album access' });
+    }
+
+    res.json(data || []);
+  } catch (err) {
+    console.error('Album grants fetch error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Share your private album with the other person in a match
+router.post('/album/grants', authenticate, async (req, res) => {
+  try {
+    const { matchId } = req.body;
+
+    if (!matchId) {
+      return res.status(400).json({ error: 'Match ID required' });
+    }
+
+    const { grant, status, error } = await grantAlbum(req.userId, matchId, req.supabase);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    await emitToUsers([grant.grantee_id], 'album:granted', { userId: req.userId, matchId });
+    res.json({ success: true, grant });
+  } catch (err) {
+    console.error('Album grant error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/album/grants/:userId', authenticate, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const removed = await revokeAlbum(req.userId, userId, req.supabase);
+    if (!removed) {
+      return res.status(404).json({ error: 'This user does not have access to your album' });
+    }
+
+    await emitToUsers([userId], 'album:revoked', { userId: req.userId });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Album revoke error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reorder every photo at once. The first id becomes the primary photo.
+router.put('/order', authenticate, async (req, res) => {
+  try {
+    const { photoIds } = req.body;
+
+    if (!Array.isArray(photoIds) || photoIds.length === 0) {
+      return res.status(400).json({ error: 'photoIds must be a non-empty array' });
+    }
+
+    const photos = await loadOwnPhotos(req.userId, req.supabase);
+    const owned = new Set(photos.map(p => p.id));
+
+    if (new Set(photoIds).size !== photoIds.length || photoIds.length !== owned.size || !photoIds.every(id => owned.has(id))) {
+      return res.status(400).json({ error: 'photoIds must list each of your photos exactly once' });
+    }
+
+    const error = await applyOrder(req.userId, photoIds, req.supabase);
+    if (error) {
+      console.error('Photo reorder error:', error);
+      return res.status(400).json({ error: 'Failed to reorder photos' });
+    }
+
+    res.json({ success: true, photoIds });
+  } catch (err) {
+    console.error('Photo reorder error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Make one photo primary, keeping the rest in their current order
+router.put('/:photoId/primary', authenticate, async (req, res) => {
+  try {
+    const { photoId } = req.params;
+
+    const photos = await loadOwnPhotos(req.userId, req.supabase);
+    if (!photos.some(p => p.id === photoId)) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    const photoIds = [photoId, ...photos.filter(p => p.id !== photoId).map(p => p.id)];
+    const error = await applyOrder(req.userId, photoIds, req.supabase);
+    if (error) {
+      console.error('Set primary photo error:', error);
+      return res.status(400).json({ error: 'Failed to set primary photo' });
+    }
+
+    res.json({ success: true, photoIds });
+  } catch (err) {
+    console.error('Set primary photo error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Move a photo in or out of the private album
+router.put('/:photoId/visibility', authenticate, async (req, res) => {
+  try {
+    const { photoId } = req.params;
+    const { visibility } = req.body;
+
+    if (!PHOTO_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ error: `visibility must be one of: ${PHOTO_VISIBILITIES.join(', ')}` });
+    }
+
+    const { data: photo, error } = await req.supabase
+      .from('photos')
+      .update({ visibility })
+      .eq('id', photoId)
+      .eq('user_id', req.userId)
+      .select('id, visibility')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Photo visibility error:', error);
+      return res.status(500).json({ error: 'Failed to update photo' });
+    }
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    res.json({ success: true, ...photo });
+  } catch (err) {
+    console.error('Photo visibility error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a photo: storage objects, row, then close the gap in display_order
+router.delete('/:photoId', authenticate, async (req, res) => {
+  try {
+    const { photoId } = req.params;
+
+    const photos = await loadOwnPhotos(req.userId, req.supabase);
+    const photo = photos.find(p => p.id === photoId);
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    const paths = photoStoragePaths(photo);
+    if (paths.length > 0) {
+      const { error: storageError } = await req.supabase.storage
+        .from('photos')
+        .remove(paths);
+
+      if (storageError) {
+        console.error('Photo storage delete error:', storageError);
+        return res.status(500).json({ error: 'Failed to delete photo' });
+      }
+    }
+
+    const { error: deleteError } = await req.supabase
+      .from('photos')
+      .delete()
+      .eq('id', photoId)
+      .eq('user_id', req.userId);
+
+    if (deleteError) {
+      console.error('Photo delete error:', deleteError);
+      return res.status(500).json({ error: 'Failed to delete photo' });
+    }
+
+    const remaining = photos.filter(p => p.id !== photoId).map(p => p.id);
+    if (remaining.length > 0) {
+      const error = await applyOrder(req.userId, remaining, req.supabase);
+      if (error) console.error('Photo renumber error:', error);
+    }
+
+    res.json({ success: true, remaining: remaining.length });
+  } catch (err) {
+    console.error('Photo delete error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,19 @@
+// Compute perceptual hashes for photos uploaded before near-duplicate
+// detection existed. Safe to re-run: npm run backfill:photo-hashes
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { backfillPhotoDHashes } = require('../utils/photoSimilarity');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+backfillPhotoDHashes(supabase)
+  .then(count => {
+    console.log(`[BACKFILL] Done. ${count} photo(s) hashed.`);
+  })
+  .catch(err => {
+    console.error('[BACKFILL] Failed:', err);
+    process.exitCode = 1;
+  });
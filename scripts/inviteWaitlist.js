@@ -0,0 +1,25 @@
+// Invite everyone on the waitlist for a region once it has been enabled in
+// config/regions.json: npm run waitlist:invite -- <regionId>
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { inviteRegionWaitlist } = require('../utils/waitlist');
+
+const regionId = process.argv[2];
+if (!regionId) {
+  console.error('Usage: npm run waitlist:invite -- <regionId>');
+  process.exit(1);
+}
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+inviteRegionWaitlist(regionId, supabase)
+  .then(count => {
+    console.log(`[WAITLIST] Done. ${count} invite(s) sent for ${regionId}.`);
+  })
+  .catch(err => {
+    console.error('[WAITLIST] Failed:', err);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,19 @@
+// Permanently purge accounts whose deletion grace period has passed.
+// Run daily from a cron job: npm run purge:accounts
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { purgeDueAccounts } = require('../utils/account');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+purgeDueAccounts(supabase)
+  .then(count => {
+    console.log(`[PURGE] Done. ${count} account(s) purged.`);
+  })
+  .catch(err => {
+    console.error('[PURGE] Failed:', err);
+    process.exitCode = 1;
+  });
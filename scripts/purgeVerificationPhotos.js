@@ -0,0 +1,20 @@
+// Delete the files of verification photos that were uploaded as profile
+// photos before selfie verification existed. Run once after migration 017;
+// safe to re-run: npm run purge:verification-photos
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { purgeLegacyVerificationFiles } = require('../utils/selfieVerification');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+purgeLegacyVerificationFiles(supabase)
+  .then(count => {
+    console.log(`[VERIFICATION PURGE] Done. ${count} file(s) removed.`);
+  })
+  .catch(err => {
+    console.error('[VERIFICATION PURGE] Failed:', err);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,20 @@
+// Convert photos uploaded before the image pipeline into stripped WebP
+// variants and delete the originals. Safe to re-run:
+// npm run reprocess:photos
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { reprocessLegacyPhotos } = require('../utils/imagePipeline');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+reprocessLegacyPhotos(supabase)
+  .then(count => {
+    console.log(`[REPROCESS] Done. ${count} photo(s) converted.`);
+  })
+  .catch(err => {
+    console.error('[REPROCESS] Failed:', err);
+    process.exitCode = 1;
+  });
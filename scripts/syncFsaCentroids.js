@@ -0,0 +1,20 @@
+// Copy config/fsaCentroids.json into the fsa_centroids table that discovery
+// measures distances against. Run after editing the file:
+// npm run sync:fsa-centroids
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { syncFsaCentroids } = require('../utils/geo');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+syncFsaCentroids(supabase)
+  .then(count => {
+    console.log(`[FSA] Done. ${count} centroid(s) in the database.`);
+  })
+  .catch(err => {
+    console.error('[FSA] Failed:', err);
+    process.exitCode = 1;
+  });
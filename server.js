@@ -1,9 +1,8 @@
-// COMPLETE VERSION - Security hardened + GTA cluster + 6 photos + EXIF preservation
+// COMPLETE VERSION - Security hardened + multi-region + 6 photos + server-side image pipeline
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { createClient } = require('@supabase/supabase-js');
 const multer = require('multer');
 const crypto = require('crypto');
@@ -11,43 +10,60 @@ const crypto = require('crypto');
 // Security middleware
 const helmet = require('helmet');
 const { emailValidationMiddleware } = require('./middleware/emailValidation');
+const { authenticate } = require('./middleware/auth');
 
 // ALL rate limiters from centralized file
 const { 
   globalLimiter, 
   authLimiter, 
+  verifyEmailLimiter,
+  resendVerificationLimiter,
+  passwordResetLimiter,
+  refreshLimiter,
   swipeLimiter, 
   messageLimiter, 
-  uploadLimiter 
+  uploadLimiter,
+  verificationLimiter,
+  waitlistLimiter 
 } = require('./middleware/rateLimiter');
 
 // Existing middleware
-const { validatePhotoUniqueness, validatePhotoType } = require('./middleware/photoValidator');
+const { validatePhotoUniqueness, checkChatImageSimilarity, validateImageContent, validatePhotoType, validatePhotoVisibility } = require('./middleware/photoValidator');
 const { getTodayChallenge, checkChallengeCompletion, completeChallenge, getUserChallengeStats } = require('./utils/challenges');
+const { sendVerificationEmail, consumeVerificationToken } = require('./utils/emailVerification');
+const { sendPasswordResetEmail, consumePasswordResetToken, setPassword } = require('./utils/passwordReset');
+const { validatePassword } = require('./utils/passwordPolicy');
+const { createSession, rotateRefreshToken, revokeSession, revokeAllSessions } = require('./utils/sessions');
+const { cancelAccountDeletion } = require('./utils/account');
+const { enqueueModeration } = require('./utils/moderation');
+const { REPORT_SCORING, computeReportWeight, scoreReportedUser } = require('./utils/reportScoring');
+const { loadMatchForUser, getPartnerId, hasBlockBetween, blockedUserIds } = require('./utils/matches');
+const {
+  MIN_DISTANCE_KM,
+  MAX_DISTANCE_KM,
+  USER_MODES,
+  parseMaxDistance,
+  discoveryPreferences,
+  parseDiscoveryPreferences
+} = require('./utils/discovery');
+const { resolveFsa, roundDistanceKm } = require('./utils/geo');
+const { RANKING, DECK_SIZE, scoreBreakdown } = require('./utils/discoveryRanking');
+const { resolveRegion, isRegionActive, activeRegions } = require('./utils/regions');
+const { joinWaitlist } = require('./utils/waitlist');
+const { albumGrantorsFor, visiblePhotos, revokeAlbumsBetween } = require('./utils/albums');
+const { uploadChatMedia, attachMediaUrls, withoutMediaUrls, removeChatMedia, removeMatchMedia } = require('./utils/chatMedia');
+const { scanMessage, recordFilterHit } = require('./utils/messageFilter');
+const { orderPhotos, primaryPhoto, signPhotos, photoUrl, presentPhoto, presentPhotos } = require('./utils/photos');
+const { VARIANTS: IMAGE_VARIANTS, readExif, uploadPhotoVariants, removePhotoVariants, sanitizeImage } = require('./utils/imagePipeline');
+const { watermarkText } = require('./utils/watermark');
+const { issuePrompt, submitSelfie } = require('./utils/selfieVerification');
+const { flagSimilarPhoto } = require('./utils/photoSimilarity');
+const { attachRealtime, emitToUsers, closeUserSockets } = require('./utils/realtime');
+const { encodeCursor, decodeCursor, encodeDeckCursor, decodeDeckCursor, parseLimit } = require('./utils/pagination');
 const legalRoutes = require('./routes/legal');
-
-// GTA CLUSTER NORMALIZATION
-const GTA_CITIES = {
-  'toronto': 'toronto', 'tdot': 'toronto', 't.o.': 'toronto', 'the 6': 'toronto', 'the 6ix': 'toronto', 'yyz': 'toronto',
-  'mississauga': 'toronto', 'sauga': 'toronto', 'missisauga': 'toronto', 'mississauaga': 'toronto',
-  'brampton': 'toronto', 'bramption': 'toronto',
-  'vaughan': 'toronto', 'vaughn': 'toronto',
-  'markham': 'toronto',
-  'richmond hill': 'toronto', 'richmondhill': 'toronto',
-  'scarborough': 'toronto', 'scarbrough': 'toronto', 'scarboro': 'toronto',
-  'etobicoke': 'toronto', 'etobico': 'toronto',
-  'north york': 'toronto', 'northyork': 'toronto',
-  'oakville': 'toronto',
-  'ajax': 'toronto',
-  'pickering': 'toronto',
-  'burlington': 'toronto'
-};
-
-function normalizeCity(city) {
-  if (!city) return null;
-  const cleaned = city.toLowerCase().trim().replace(/[^a-z\s]/g, '').replace(/\s+/g, ' ');
-  return GTA_CITIES[cleaned] || null;
-}
+const accountRoutes = require('./routes/account');
+const adminRoutes = require('./routes/admin');
+const photoRoutes = require('./routes/photos');
 
 // App initialization with security
 const app = express();
@@ -55,7 +71,8 @@ app.set('trust proxy', 1); // CRITICAL for Render
 
 // Security headers
 app.use(helmet());
-app.use(cors());
+// Paging cursors are sent as headers, which browsers only expose if listed
+app.use(cors({ exposedHeaders: ['X-Has-More', 'X-Before-Cursor', 'X-Since-Cursor', 'X-After-Cursor'] }));
 
 // Body parsing with security limits
 app.use(express.json({ limit: '200kb' }));
@@ -83,40 +100,43 @@ app.use((req, res, next) => {
   next();
 });
 
-// Auth middleware
-const authenticate = async (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ error: 'No token provided' });
-  }
-  
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.userId = decoded.userId;
-    next();
-  } catch (err) {
-    console.error('Auth error:', err);
-    res.status(401).json({ error: 'Invalid token' });
-  }
-};
-
 // Routes
 app.use('/api/legal', legalRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/photos', photoRoutes);
 
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || 'development',
+    regions: activeRegions(),
     features: {
-      gta_cluster: true,
       photo_limit: 6,
-      exif_preservation: true,
-      compression: 'client_side',
+      photo_management: true,
+      photo_similarity: true,
+      private_photos: true,
+      private_albums: true,
+      distance_discovery: true,
+      discovery_preferences: true,
+      ranked_discovery: true,
+      photo_watermarks: true,
+      selfie_verification: true,
+      waitlist: true,
+      exif_stripping: true,
+      image_variants: Object.keys(IMAGE_VARIANTS),
+      compression: 'server_side',
       security: true,
       email_validation: true,
+      email_verification: true,
       rate_limiting: true,
-      legal_pages: true
+      realtime_chat: true,
+      chat_media: true,
+      chat_safety_filter: true,
+      legal_pages: true,
+      data_export: true,
+      account_deletion: true
     }
   });
 });
@@ -126,7 +146,7 @@ app.post('/api/register', authLimiter, emailValidationMiddleware, async (req, re
   try {
     console.log('[REGISTER] Raw request:', JSON.stringify(req.body));
     
-    let { email, username, password, age, city, gender, interested_in } = req.body;
+    let { email, username, password, age, city, gender, interested_in, postal_code } = req.body;
     
     // Defensive normalization
     if (typeof interested_in === 'string') interested_in = [interested_in];
@@ -161,30 +181,38 @@ app.post('/api/register', authLimiter, emailValidationMiddleware, async (req, re
       return res.status(400).json({ error: 'Invalid gender selection' });
     }
 
-    // GTA ENFORCEMENT
-    const normalizedCity = normalizeCity(city);
-    if (!normalizedCity) {
+    // Service area enforcement
+    const place = resolveRegion(city);
+    if (!place) {
       return res.status(400).json({ 
-        error: `We're launching exclusively in the GTA. "${city}" is not in our current service area.`,
-        gtaOnly: true 
+        error: `"${city}" is not in our current service area.`,
+        code: 'REGION_UNSUPPORTED',
+        regions: activeRegions(),
+        waitlist: true
       });
     }
-    
-    // Password validation
-    if (password.length < 10) {
-      return res.status(400).json({ error: 'Password must be at least 10 characters' });
-    }
-    if (!/[A-Z]/.test(password)) {
-      return res.status(400).json({ error: 'Password must contain at least 1 uppercase letter' });
-    }
-    if (!/[a-z]/.test(password)) {
-      return res.status(400).json({ error: 'Password must contain at least 1 lowercase letter' });
+    if (!place.region.enabled) {
+      return res.status(400).json({ 
+        error: `We haven't launched in ${place.region.name} yet.`,
+        code: 'REGION_NOT_LAUNCHED',
+        region: { id: place.region.id, name: place.region.name },
+        waitlist: true
+      });
     }
-    if (!/[0-9]/.test(password)) {
-      return res.status(400).json({ error: 'Password must contain at least 1 number' });
+    
+    // Optional; only the FSA (first three characters) is kept
+    const postalFsa = postal_code ? resolveFsa(postal_code) : null;
+    if (postal_code && !postalFsa) {
+      return res.status(400).json({ 
+        error: 'Enter a valid postal code in our service area, e.g. M5V',
+        code: 'POSTAL_CODE_UNSUPPORTED'
+      });
     }
-    if (!/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password)) {
-      return res.status(400).json({ error: 'Password must contain at least 1 special character' });
+    
+    // Password validation
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
     }
     
     const password_hash = await bcrypt.hash(password, 10);
@@ -196,10 +224,12 @@ app.post('/api/register', authLimiter, emailValidationMiddleware, async (req, re
         username: username.trim(),
         password_hash,
         age: parseInt(age),
-        city: normalizedCity,
+        city: place.city,
+        region: place.region.id,
+        postal_fsa: postalFsa,
         gender,
         interested_in: uniqueCanonical,
-        email_verified: true,
+        email_verified: false,
         mode: 'tease_toes'
       })
       .select()
@@ -213,21 +243,57 @@ app.post('/api/register', authLimiter, emailValidationMiddleware, async (req, re
       return res.status(400).json({ error: error.message });
     }
     
-    const token = jwt.sign({ userId: data.id }, process.env.JWT_SECRET, { expiresIn: '7d' });
     delete data.password_hash;
     
-    console.log('[REGISTER] Success - GTA user created:', data.id, 'City:', normalizedCity);
-    res.json({ token, user: data, message: 'Account created successfully!' });
+    // Account exists either way - if the email fails the user can resend
+    try {
+      await sendVerificationEmail(data, supabase);
+    } catch (mailErr) {
+      console.error('[REGISTER] Verification email failed:', mailErr);
+    }
+    
+    console.log('[REGISTER] Success - user created:', data.id, 'Region:', place.region.id, 'City:', place.city);
+    res.json({ 
+      user: data, 
+      verificationRequired: true,
+      message: 'Account created! Check your email to verify your address before logging in.' 
+    });
   } catch (err) {
     console.error('[REGISTER] Server error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// 1a. WAITLIST - signups from cities we haven't launched in
+app.post('/api/waitlist', waitlistLimiter, emailValidationMiddleware, async (req, res) => {
+  try {
+    const { email, city } = req.body;
+    
+    if (!city || !String(city).trim()) {
+      return res.status(400).json({ error: 'City is required' });
+    }
+    
+    const { entry, status, error, code } = await joinWaitlist(email, city, supabase);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+    
+    res.json({ 
+      success: true, 
+      region: entry.region_id,
+      city: entry.resolved_city,
+      message: "You're on the list! We'll email you when we launch near you." 
+    });
+  } catch (err) {
+    console.error('Waitlist error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // 2. LOGIN - Security hardened
 app.post('/api/login', authLimiter, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, restore } = req.body;
     
     if (!email || !password) {
       return res.status(400).json({ error: 'Email and password required' });
@@ -247,24 +313,262 @@ app.post('/api/login', authLimiter, async (req, res) => {
       return res.status(403).json({ error: 'Your account has been suspended due to multiple reports' });
     }
     
-    if (!user.email_verified) {
-      return res.status(403).json({ error: 'Account pending manual approval (usually < 2 hours)' });
-    }
-    
     const validPassword = await bcrypt.compare(password, user.password_hash);
     if (!validPassword) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
-    const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    // Checked after the password so unverified status can't be probed
+    if (!user.email_verified) {
+      return res.status(403).json({ 
+        error: 'Please verify your email before logging in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+    
+    // Deleted accounts can be restored by logging in during the grace period
+    if (user.deleted_at) {
+      if (!restore) {
+        return res.status(403).json({ 
+          error: 'This account is scheduled for deletion. Log in with restore to keep it.',
+          code: 'ACCOUNT_PENDING_DELETION',
+          deletion_scheduled_for: user.deletion_scheduled_for
+        });
+      }
+      await cancelAccountDeletion(user.id, supabase);
+      user.deleted_at = null;
+      user.deletion_scheduled_for = null;
+    }
+    
+    const tokens = await createSession(user.id, { userAgent: req.get('user-agent'), ip: req.ip }, supabase);
     delete user.password_hash;
-    res.json({ token, user });
+    res.json({ ...tokens, user });
   } catch (err) {
     console.error('Login error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// 2a. VERIFY EMAIL - single-use token from the signup email
+app.post('/api/verify-email', verifyEmailLimiter, async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Verification token required' });
+    }
+    
+    const userId = await consumeVerificationToken(token, supabase);
+    if (!userId) {
+      return res.status(400).json({ 
+        error: 'This verification link is invalid or has expired',
+        code: 'INVALID_VERIFICATION_TOKEN'
+      });
+    }
+    
+    console.log('[VERIFY] Email verified for user:', userId);
+    res.json({ success: true, message: 'Email verified! You can now log in.' });
+  } catch (err) {
+    console.error('[VERIFY] Server error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// 2b. RESEND VERIFICATION - same response whether or not the email exists
+app.post('/api/resend-verification', resendVerificationLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ error: 'Email required' });
+    }
+    
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, email, username, email_verified')
+      .eq('email', email.toLowerCase().trim())
+      .maybeSingle();
+      
+    // A failed send gets the same answer as an unknown email, so the
+    // response never tells whether an account exists
+    if (user && !user.email_verified) {
+      try {
+        await sendVerificationEmail(user, supabase);
+      } catch (mailErr) {
+        console.error('[RESEND VERIFY] Send failed for user:', user.id, mailErr);
+      }
+    }
+    
+    res.json({ 
+      success: true, 
+      message: 'If that account needs verification, a new email is on its way.' 
+    });
+  } catch (err) {
+    console.error('[RESEND VERIFY] Server error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// 2c. FORGOT PASSWORD - same response whether or not the email exists
+app.post('/api/forgot-password', passwordResetLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ error: 'Email required' });
+    }
+    
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, email, username')
+      .eq('email', email.toLowerCase().trim())
+      .maybeSingle();
+      
+    // A failed send gets the same answer as an unknown email
+    if (user) {
+      try {
+        await sendPasswordResetEmail(user, supabase);
+      } catch (mailErr) {
+        console.error('[FORGOT PASSWORD] Send failed for user:', user.id, mailErr);
+      }
+    }
+    
+    res.json({ 
+      success: true, 
+      message: 'If an account exists for that email, a reset link is on its way.' 
+    });
+  } catch (err) {
+    console.error('[FORGOT PASSWORD] Server error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// 2d. RESET PASSWORD - consumes the emailed token, logs out every session
+app.post('/api/reset-password', passwordResetLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Reset token required' });
+    }
+    
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+    
+    const userId = await consumePasswordResetToken(token, supabase);
+    if (!userId) {
+      return res.status(400).json({ 
+        error: 'This reset link is invalid or has expired',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+    
+    await setPassword(userId, password, supabase);
+    
+    console.log('[RESET PASSWORD] Password reset for user:', userId);
+    res.json({ success: true, message: 'Password updated. Please log in with your new password.' });
+  } catch (err) {
+    console.error('[RESET PASSWORD] Server error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// 2e. CHANGE PASSWORD - requires the current password
+app.put('/api/password', authenticate, authLimiter, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password required' });
+    }
+    
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+    
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ error: 'New password must be different from your current password' });
+    }
+    
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('password_hash')
+      .eq('id', req.userId)
+      .single();
+      
+    if (error || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const validPassword = await bcrypt.compare(currentPassword, user.password_hash);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+    
+    await setPassword(req.userId, newPassword, supabase);
+    
+    // Every session is now revoked, including this one; start a fresh one
+    const tokens = await createSession(req.userId, { userAgent: req.get('user-agent'), ip: req.ip }, supabase);
+    res.json({ 
+      success: true, 
+      ...tokens,
+      message: 'Password changed. Other devices have been logged out.' 
+    });
+  } catch (err) {
+    console.error('Change password error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// 2f. REFRESH - rotates the refresh token, replaying an old one kills the session
+app.post('/api/token/refresh', refreshLimiter, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+    
+    const result = await rotateRefreshToken(refreshToken, supabase);
+    if (result.code === 'ACCOUNT_SUSPENDED') {
+      return res.status(403).json({ error: 'Your account has been suspended', code: result.code });
+    }
+    if (result.code) {
+      return res.status(401).json({ error: 'Session expired. Please log in again.', code: result.code });
+    }
+    
+    res.json(result.tokens);
+  } catch (err) {
+    console.error('Token refresh error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// 2g. LOGOUT - this device only
+app.post('/api/logout', authenticate, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout', supabase);
+    res.json({ success: true, message: 'Logged out' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// 2h. LOGOUT ALL - every device, including this one
+app.post('/api/logout-all', authenticate, async (req, res) => {
+  try {
+    await revokeAllSessions(req.userId, 'logout_all', supabase);
+    res.json({ success: true, message: 'Logged out of all devices' });
+  } catch (err) {
+    console.error('Logout all error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // 3. Get own profile
 app.get('/api/profile', authenticate, async (req, res) => {
   try {
@@ -280,6 +584,8 @@ app.get('/api/profile', authenticate, async (req, res) => {
     }
 
     delete data.password_hash;
+    data.discovery_preferences = discoveryPreferences(data);
+    data.photos = await presentPhotos(data.photos, 'card', supabase);
     res.json(data);
   } catch (err) {
     console.error('Profile fetch error:', err);
@@ -307,13 +613,14 @@ app.get('/api/can-swipe', authenticate, async (req, res) => {
   }
 });
 
-// 5. Get profiles - GTA CLUSTER MATCHING
+// 5. Get profiles - same-region matching, best first, paged with ?after=
 app.get('/api/profiles', authenticate, async (req, res) => {
   try {
     const { data: userPhotos } = await supabase
       .from('photos')
       .select('id')
-      .eq('user_id', req.userId);
+      .eq('user_id', req.userId)
+      .limit(1);
       
     if (!userPhotos || userPhotos.length === 0) {
       return res.status(403).json({ 
@@ -324,58 +631,136 @@ app.get('/api/profiles', authenticate, async (req, res) => {
     
     const { data: currentUser, error: userError } = await supabase
       .from('users')
-      .select('city, gender, interested_in, mode')
+      .select('region')
       .eq('id', req.userId)
       .single();
       
     if (userError) {
       return res.status(400).json({ error: 'User not found' });
     }
-      
-    const { data: swipes } = await supabase
-      .from('swipes')
-      .select('swiped_id')
-      .eq('swiper_id', req.userId);
-      
-    const swipedIds = swipes?.map(s => s.swiped_id) || [];
-    swipedIds.push(req.userId);
     
-    const { data: blocks } = await supabase
-      .from('blocks')
-      .select('blocked_id, blocker_id')
-      .or(`blocker_id.eq.${req.userId},blocked_id.eq.${req.userId}`);
-      
-    const blockedIds = blocks?.reduce((acc, block) => {
-      if (block.blocker_id === req.userId) acc.push(block.blocked_id);
-      if (block.blocked_id === req.userId) acc.push(block.blocker_id);
-      return acc;
-    }, []) || [];
+    if (!isRegionActive(currentUser.region)) {
+      return res.status(403).json({ 
+        error: 'Discovery is not available in your region yet',
+        code: 'REGION_INACTIVE'
+      });
+    }
     
-    let { data: profiles, error } = await supabase
-      .from('users')
-      .select('id, username, age, city, bio, gender, interested_in, mode, photos(*)')
-      .eq('city', 'toronto')
-      .eq('is_suspended', false)
-      .limit(50)
-      .order('created_at', { ascending: false });
+    const cursor = req.query.after ? decodeDeckCursor(req.query.after) : null;
+    if (req.query.after && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    const limit = parseLimit(req.query.limit, 20, 50);
+    // ?debug=true shows admins why each profile ranked where it did
+    const debug = req.query.debug === 'true' && req.userRole === 'admin';
+    
+    // The first page ranks everyone into a fresh deck; later pages walk that
+    // snapshot so shifting scores can't skip or repeat anyone. ?verified=true
+    // limits the deck to selfie-verified profiles.
+    let deckId = cursor?.deckId;
+    if (!cursor) {
+      const { data, error: deckError } = await supabase.rpc('build_discovery_deck', {
+        p_user_id: req.userId,
+        p_verified_only: req.query.verified === 'true',
+        p_ranking: RANKING,
+        p_size: DECK_SIZE
+      });
       
-    if (error) {
-      console.error('Profiles fetch error:', error);
-      return res.status(500).json({ error: 'Failed to fetch profiles' });
+      if (deckError) {
+        console.error('Discovery deck error:', deckError);
+        return res.status(500).json({ error: 'Failed to fetch profiles' });
+      }
+      deckId = data;
+    }
+    
+    const { data: deck } = await supabase
+      .from('discovery_decks')
+      .select('id, exhausted')
+      .eq('id', deckId)
+      .eq('user_id', req.userId)
+      .maybeSingle();
+    
+    // Decks are cleaned up a day after they were built; start over without ?after=
+    if (!deck) {
+      return res.status(410).json({ 
+        error: 'This discovery list has expired, start again from the first page',
+        code: 'DECK_EXPIRED'
+      });
     }
     
-    const validProfiles = (profiles || []).filter(profile => {
-      if (swipedIds.includes(profile.id)) return false;
-      if (blockedIds.includes(profile.id)) return false;
-      if (!profile.photos || profile.photos.length === 0) return false;
+    // Anyone who stopped qualifying since the snapshot is skipped in the
+    // query. A short page from a deck that isn't exhausted means the
+    // snapshot ran out before the candidates did: rank the next batch into
+    // the same deck and read again.
+    let rows;
+    for (;;) {
+      const { data, error } = await supabase.rpc('discovery_deck_page', {
+        p_deck_id: deckId,
+        p_user_id: req.userId,
+        p_after_position: cursor ? cursor.position : 0,
+        p_limit: limit + 1
+      });
+        
+      if (error) {
+        console.error('Profiles fetch error:', error);
+        return res.status(500).json({ error: 'Failed to fetch profiles' });
+      }
       
-      const theyLikeMe = profile.interested_in && profile.interested_in.includes(currentUser.gender);
-      const iLikeThem = currentUser.interested_in && currentUser.interested_in.includes(profile.gender);
+      rows = data;
+      if (rows.length > limit || deck.exhausted) break;
       
-      return theyLikeMe && iLikeThem;
-    });
+      const { data: added, error: extendError } = await supabase.rpc('extend_discovery_deck', {
+        p_deck_id: deckId,
+        p_user_id: req.userId,
+        p_ranking: RANKING,
+        p_size: DECK_SIZE
+      });
+      
+      if (extendError) {
+        console.error('Discovery deck error:', extendError);
+        return res.status(500).json({ error: 'Failed to fetch profiles' });
+      }
+      deck.exhausted = added < DECK_SIZE;
+    }
+    
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
     
-    res.json(validProfiles.slice(0, 20));
+    let profiles = [];
+    if (page.length > 0) {
+      const { data, error: profilesError } = await supabase
+        .from('users')
+        .select('id, username, age, city, region, bio, gender, interested_in, mode, is_verified, photos(*)')
+        .in('id', page.map(row => row.id));
+        
+      if (profilesError) {
+        console.error('Profiles fetch error:', profilesError);
+        return res.status(500).json({ error: 'Failed to fetch profiles' });
+      }
+      
+      const byId = new Map(data.map(profile => [profile.id, profile]));
+      profiles = page.filter(row => byId.has(row.id)).map(row => ({
+        ...byId.get(row.id),
+        // Private album photos never appear in discovery
+        photos: visiblePhotos(byId.get(row.id).photos, false),
+        // Only the rounded distance goes out, never the postal area
+        distance_km: row.distance_km === null ? null : roundDistanceKm(row.distance_km),
+        ...(debug ? { ranking: scoreBreakdown(row) } : {})
+      }));
+    }
+    
+    // Only photos of profiles we're actually serving get signed
+    const signed = await signPhotos(profiles.flatMap(p => p.photos), ['card', 'full'], supabase);
+    const last = page[page.length - 1];
+    
+    // Bare array as before; pass X-After-Cursor as ?after= for the next page
+    res.set('X-Has-More', String(hasMore));
+    if (last) res.set('X-After-Cursor', encodeDeckCursor(deckId, last.position));
+    res.json(profiles.map(profile => ({ 
+      ...profile, 
+      photos: orderPhotos(profile.photos).map(photo => presentPhoto(photo, 'card', signed))
+    })));
   } catch (err) {
     console.error('Profiles error:', err);
     res.status(500).json({ error: 'Server error' });
@@ -435,15 +820,19 @@ app.post('/api/swipe', authenticate, swipeLimiter, async (req, res) => {
           const user1 = req.userId < targetId ? req.userId : targetId;
           const user2 = req.userId < targetId ? targetId : req.userId;
           
-          const { error: matchError } = await supabase
+          const { data: newMatch, error: matchError } = await supabase
             .from('matches')
             .insert({ 
               user1_id: user1,
               user2_id: user2
-            });
+            })
+            .select('id, created_at')
+            .single();
             
           if (matchError) {
             console.error('Match creation error:', matchError);
+          } else {
+            await emitToUsers([user1, user2], 'match:new', { matchId: newMatch.id, created_at: newMatch.created_at });
           }
         }
         
@@ -465,8 +854,8 @@ app.get('/api/matches', authenticate, async (req, res) => {
       .select(`
         id,
         created_at,
-        user1:user1_id(id, username, email, contact_method, contact_info, photos(*)),
-        user2:user2_id(id, username, email, contact_method, contact_info, photos(*))
+        user1:user1_id(id, username, email, contact_method, contact_info, is_verified, deleted_at, photos(*)),
+        user2:user2_id(id, username, email, contact_method, contact_info, is_verified, deleted_at, photos(*))
       `)
       .or(`user1_id.eq.${req.userId},user2_id.eq.${req.userId}`)
       .order('created_at', { ascending: false });
@@ -475,19 +864,57 @@ app.get('/api/matches', authenticate, async (req, res) => {
       console.error('Matches fetch error:', error);
       return res.status(500).json({ error: 'Failed to fetch matches' });
     }
+    
+    const { data: summaries, error: summaryError } = await supabase
+      .rpc('get_match_summaries', { p_user_id: req.userId });
       
-    const matches = data?.map(m => {
+    if (summaryError) {
+      console.error('Match summaries error:', summaryError);
+      return res.status(500).json({ error: 'Failed to fetch matches' });
+    }
+    
+    const summaryByMatch = new Map((summaries || []).map(s => [s.match_id, s]));
+    
+    const visibleMatches = (data || []).filter(m => {
       const partner = m.user1.id === req.userId ? m.user2 : m.user1;
+      return !partner.deleted_at;
+    });
+    
+    // A block doesn't remove the match, but it does end photo access.
+    // Private photos only count if the partner shared their album.
+    const partners = visibleMatches.map(m => (m.user1.id === req.userId ? m.user2 : m.user1));
+    const blocked = await blockedUserIds(req.userId, supabase);
+    const grantors = await albumGrantorsFor(req.userId, partners.map(p => p.id), supabase);
+    const thumbByPartner = new Map(partners
+      .filter(partner => !blocked.has(partner.id))
+      .map(partner => [partner.id, primaryPhoto(visiblePhotos(partner.photos, grantors.has(partner.id)))]));
+    const signed = await signPhotos([...thumbByPartner.values()].filter(Boolean), ['thumb'], supabase);
+      
+    const matches = visibleMatches.map(m => {
+      const partner = m.user1.id === req.userId ? m.user2 : m.user1;
+      const summary = summaryByMatch.get(m.id);
       return {
         id: m.id,
         created_at: m.created_at,
+        last_message: summary?.last_message_id ? {
+          id: summary.last_message_id,
+          content: summary.last_message_content,
+          sender_id: summary.last_message_sender_id,
+          created_at: summary.last_message_at
+        } : null,
+        last_activity_at: summary?.last_message_at || m.created_at,
+        unread_count: Number(summary?.unread_count) || 0,
         partner: {
           id: partner.id,
           username: partner.username,
-          photo: partner.photos?.[0]?.url
+          is_verified: !!partner.is_verified,
+          photo: photoUrl(thumbByPartner.get(partner.id), 'thumb', signed)
         }
       };
-    }) || [];
+    });
+    
+    // Most recent conversation first; new matches count as activity
+    matches.sort((a, b) => new Date(b.last_activity_at) - new Date(a.last_activity_at));
     
     res.json(matches);
   } catch (err) {
@@ -500,18 +927,9 @@ app.delete('/api/matches/:matchId', authenticate, async (req, res) => {
   try {
     const { matchId } = req.params;
     
-    const { data: match, error: fetchError } = await supabase
-      .from('matches')
-      .select('user1_id, user2_id')
-      .eq('id', matchId)
-      .maybeSingle();
-      
-    if (fetchError || !match) {
-      return res.status(404).json({ error: 'Match not found' });
-    }
-    
-    if (match.user1_id !== req.userId && match.user2_id !== req.userId) {
-      return res.status(403).json({ error: 'Not your match' });
+    const { status, error: matchError } = await loadMatchForUser(matchId, req.userId, supabase);
+    if (matchError) {
+      return res.status(status).json({ error: matchError });
     }
     
     const { error: deleteError } = await supabase
@@ -524,6 +942,13 @@ app.delete('/api/matches/:matchId', authenticate, async (req, res) => {
       return res.status(500).json({ error: 'Failed to unmatch' });
     }
     
+    // Shared photos go with the match
+    try {
+      await removeMatchMedia(matchId, supabase);
+    } catch (mediaErr) {
+      console.error('Unmatch media cleanup error:', mediaErr);
+    }
+    
     res.json({ success: true, message: 'Unmatched successfully' });
   } catch (err) {
     console.error('Unmatch error:', err);
@@ -531,30 +956,50 @@ app.delete('/api/matches/:matchId', authenticate, async (req, res) => {
   }
 });
 
-app.post('/api/messages', authenticate, messageLimiter, async (req, res) => {
+// Text as JSON, or multipart with a 'photo' file (and optional caption in content)
+app.post('/api/messages', authenticate, messageLimiter, upload.single('photo'), validateImageContent, checkChatImageSimilarity, async (req, res) => {
   try {
     const { matchId, content } = req.body;
+    const isImage = !!req.file;
     
-    if (!matchId || !content) {
-      return res.status(400).json({ error: 'Match ID and content required' });
+    if (!matchId || (!content && !isImage)) {
+      return res.status(400).json({ error: 'Match ID and content or photo required' });
     }
     
-    if (content.length > 5000) {
+    if (content && content.length > 5000) {
       return res.status(400).json({ error: 'Message too long (max 5000 characters)' });
     }
     
-    const { data: match, error: matchError } = await supabase
-      .from('matches')
-      .select('user1_id, user2_id')
-      .eq('id', matchId)
-      .maybeSingle();
-      
-    if (matchError || !match) {
-      return res.status(404).json({ error: 'Match not found' });
+    const { match, status, error: matchError } = await loadMatchForUser(matchId, req.userId, supabase);
+    if (matchError) {
+      return res.status(status).json({ error: matchError });
+    }
+    
+    if (await hasBlockBetween(match.user1_id, match.user2_id, supabase)) {
+      return res.status(403).json({ error: 'You can no longer message this user' });
     }
     
-    if (match.user1_id !== req.userId && match.user2_id !== req.userId) {
-      return res.status(403).json({ error: 'Not your match' });
+    // Safety filter runs before anything is stored
+    const scan = scanMessage(content);
+    if (scan.action === 'reject') {
+      await recordFilterHit(req.userId, matchId, null, scan, supabase);
+      return res.status(400).json({ 
+        error: scan.matches.find(m => m.action === 'reject')?.message || 'This message was blocked by our safety filter',
+        code: 'MESSAGE_REJECTED'
+      });
+    }
+    const held = scan.action === 'hold';
+    
+    let mediaPath = null;
+    if (isImage) {
+      try {
+        // Same metadata stripping as profile photos; the partner is a stranger
+        const sanitized = await sanitizeImage(req.file.buffer);
+        mediaPath = await uploadChatMedia(matchId, sanitized.buffer, sanitized.imageInfo, supabase);
+      } catch (uploadError) {
+        console.error('Chat media upload error:', uploadError);
+        return res.status(400).json({ error: 'Failed to upload photo' });
+      }
     }
     
     const { data: message, error: messageError } = await supabase
@@ -562,17 +1007,47 @@ app.post('/api/messages', authenticate, messageLimiter, async (req, res) => {
       .insert({
         match_id: matchId,
         sender_id: req.userId,
-        content: content.trim()
+        content: content ? content.trim() : null,
+        message_type: isImage ? 'image' : 'text',
+        media_path: mediaPath,
+        media_hash: isImage ? req.photoHash : null,
+        moderation_status: held ? 'held' : 'visible',
+        filter_flags: scan.matches.length > 0 ? scan.matches.map(m => m.id) : null
       })
       .select()
       .single();
       
     if (messageError) {
       console.error('Message send error:', messageError);
+      if (mediaPath) await removeChatMedia(mediaPath, supabase);
       return res.status(500).json({ error: 'Failed to send message' });
     }
     
-    res.json(message);
+    if (req.photoSimilarity) {
+      try {
+        await flagSimilarPhoto(req.userId, req.photoSimilarity, { message_id: message.id, media_path: mediaPath }, supabase);
+      } catch (flagError) {
+        console.error('Similarity flag error:', flagError);
+      }
+    }
+    
+    const [outgoing] = await attachMediaUrls([message], supabase);
+    
+    if (held) {
+      await recordFilterHit(req.userId, matchId, message.id, scan, supabase);
+      // Only the sender's own devices see a held message
+      await emitToUsers([req.userId], 'message:new', outgoing);
+      return res.json({ 
+        ...outgoing, 
+        held: true,
+        notice: scan.matches.find(m => m.action === 'hold')?.message || 'This message is being reviewed before delivery'
+      });
+    }
+    
+    // Sender's other devices get it too
+    await emitToUsers([match.user1_id, match.user2_id], 'message:new', outgoing);
+    
+    res.json(scan.warnings.length > 0 ? { ...outgoing, warnings: scan.warnings } : outgoing);
   } catch (err) {
     console.error('Send message error:', err);
     res.status(500).json({ error: 'Server error' });
@@ -583,47 +1058,162 @@ app.get('/api/messages/:matchId', authenticate, async (req, res) => {
   try {
     const { matchId } = req.params;
     
-    const { data: match, error: matchError } = await supabase
-      .from('matches')
-      .select('user1_id, user2_id')
-      .eq('id', matchId)
-      .maybeSingle();
-      
-    if (matchError || !match) {
-      return res.status(404).json({ error: 'Match not found' });
+    const { match, status, error: matchError } = await loadMatchForUser(matchId, req.userId, supabase);
+    if (matchError) {
+      return res.status(status).json({ error: matchError });
+    }
+    
+    // ?before=<cursor> pages back through history, ?since=<cursor> fetches
+    // newer messages. With neither, returns the latest page.
+    const { before, since } = req.query;
+    if (before && since) {
+      return res.status(400).json({ error: 'Use either before or since, not both' });
     }
     
-    if (match.user1_id !== req.userId && match.user2_id !== req.userId) {
-      return res.status(403).json({ error: 'Not your match' });
+    const cursor = before || since ? decodeCursor(before || since) : null;
+    if ((before || since) && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
     }
     
-    const { data: messages, error: messagesError } = await supabase
+    const limit = parseLimit(req.query.limit, 50, 100);
+    const ascending = !!since;
+    
+    // Held or removed messages are only shown to their sender. PostgREST
+    // takes a single or= filter, so the keyset condition is nested into it.
+    const visible = `moderation_status.eq.visible,sender_id.eq.${req.userId}`;
+    let filter = visible;
+    if (cursor) {
+      const op = since ? 'gt' : 'lt';
+      const keyset = `created_at.${op}."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.${op}.${cursor.id})`;
+      filter = `and(or(${visible}),or(${keyset}))`;
+    }
+    
+    const query = supabase
       .from('messages')
       .select('*')
       .eq('match_id', matchId)
-      .order('created_at', { ascending: true });
+      .or(filter)
+      .order('created_at', { ascending })
+      .order('id', { ascending })
+      .limit(limit + 1);
+      
+    const { data: rows, error: messagesError } = await query;
       
     if (messagesError) {
       console.error('Messages fetch error:', messagesError);
       return res.status(500).json({ error: 'Failed to fetch messages' });
     }
     
-    const fetchTime = new Date().toISOString();
-    await supabase
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    // Always return oldest -> newest
+    const ordered = ascending ? page : page.reverse();
+    
+    // Cursors are built from the raw rows before media fields are stripped
+    const firstCursor = ordered.length > 0 ? encodeCursor(ordered[0]) : (before || null);
+    const lastCursor = ordered.length > 0 ? encodeCursor(ordered[ordered.length - 1]) : (since || null);
+    
+    // A block in either direction withdraws access to shared photos
+    const blocked = await hasBlockBetween(match.user1_id, match.user2_id, supabase);
+    const messages = blocked ? withoutMediaUrls(ordered) : await attachMediaUrls(ordered, supabase);
+    
+    // Hide read state on my messages if my partner doesn't send receipts
+    const { data: partner } = await supabase
+      .from('users')
+      .select('send_read_receipts')
+      .eq('id', getPartnerId(match, req.userId))
+      .maybeSingle();
+      
+    if (partner && partner.send_read_receipts === false) {
+      messages.forEach(m => {
+        if (m.sender_id === req.userId) {
+          delete m.is_read;
+          delete m.read_at;
+        }
+      });
+    }
+    
+    // The body stays a bare array for existing clients; paging travels in
+    // headers. Pass X-Before-Cursor as ?before= for older messages and
+    // X-Since-Cursor as ?since= to poll for newer ones.
+    res.set('X-Has-More', String(hasMore));
+    if (firstCursor) res.set('X-Before-Cursor', firstCursor);
+    if (lastCursor) res.set('X-Since-Cursor', lastCursor);
+    res.json(messages);
+  } catch (err) {
+    console.error('Get messages error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Mark the partner's messages read up to and including upToMessageId
+app.post('/api/messages/:matchId/read', authenticate, async (req, res) => {
+  try {
+    const { matchId } = req.params;
+    const { upToMessageId } = req.body;
+    
+    if (!upToMessageId) {
+      return res.status(400).json({ error: 'upToMessageId required' });
+    }
+    
+    const { match, status, error: matchError } = await loadMatchForUser(matchId, req.userId, supabase);
+    if (matchError) {
+      return res.status(status).json({ error: matchError });
+    }
+    
+    const { data: upTo } = await supabase
+      .from('messages')
+      .select('id, created_at')
+      .eq('id', upToMessageId)
+      .eq('match_id', matchId)
+      .maybeSingle();
+      
+    if (!upTo) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    
+    const readAt = new Date().toISOString();
+    const { data: newlyRead, error: readError } = await supabase
       .from('messages')
-      .update({ is_read: true })
+      .update({ is_read: true, read_at: readAt })
       .eq('match_id', matchId)
       .neq('sender_id', req.userId)
-      .lte('created_at', fetchTime);
+      .is('read_at', null)
+      .eq('moderation_status', 'visible')
+      .or(`created_at.lt."${upTo.created_at}",and(created_at.eq."${upTo.created_at}",id.lte.${upTo.id})`)
+      .select('id');
+      
+    if (readError) {
+      console.error('Mark read error:', readError);
+      return res.status(500).json({ error: 'Failed to mark messages read' });
+    }
+    
+    const readIds = (newlyRead || []).map(m => m.id);
+    
+    if (readIds.length > 0) {
+      const receipt = { matchId, readerId: req.userId, upToMessageId, messageIds: readIds, readAt };
+      
+      // My other devices always sync; the sender only sees it if I allow receipts
+      const { data: reader } = await supabase
+        .from('users')
+        .select('send_read_receipts')
+        .eq('id', req.userId)
+        .single();
+        
+      const recipients = reader?.send_read_receipts === false
+        ? [req.userId]
+        : [req.userId, getPartnerId(match, req.userId)];
+      await emitToUsers(recipients, 'message:read', receipt);
+    }
     
-    res.json(messages || []);
+    res.json({ success: true, marked: readIds.length, readAt });
   } catch (err) {
-    console.error('Get messages error:', err);
+    console.error('Mark read error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.post('/api/upload', authenticate, uploadLimiter, upload.single('photo'), validatePhotoUniqueness, validatePhotoType, async (req, res) => {
+app.post('/api/upload', authenticate, uploadLimiter, upload.single('photo'), validateImageContent, validatePhotoUniqueness, validatePhotoType, validatePhotoVisibility, async (req, res) => {
   try {
     console.log('[UPLOAD] Request received. File present:', !!req.file);
     
@@ -635,76 +1225,183 @@ app.post('/api/upload', authenticate, uploadLimiter, upload.single('photo'), val
     console.log('[UPLOAD] File details:', {
       originalname: req.file.originalname,
       size: req.file.size,
-      mimetype: req.file.mimetype
+      mimetype: req.file.mimetype,
+      detected: req.imageInfo.mimetype,
+      dimensions: `${req.imageInfo.width}x${req.imageInfo.height}`
     });
-
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/webp'];
-    if (!allowedTypes.includes(req.file.mimetype)) {
-      return res.status(400).json({ error: 'Invalid image type. Only JPEG, PNG, and WebP are allowed.' });
-    }
     
     const { data: existingPhotos } = await supabase
       .from('photos')
-      .select('id')
+      .select('id, display_order')
       .eq('user_id', req.userId);
       
+    const { data: uploader } = await supabase
+      .from('users')
+      .select('username, watermark_photos')
+      .eq('id', req.userId)
+      .single();
+      
     if (existingPhotos && existingPhotos.length >= 6) {
       return res.status(400).json({ error: 'Maximum 6 photos allowed' });
     }
     
     const randomSuffix = Math.random().toString(36).substring(2, 9);
-    let extension = '.jpg';
-    if (req.file.mimetype === 'image/png') extension = '.png';
-    else if (req.file.mimetype === 'image/webp') extension = '.webp';
+    const basePath = `${req.userId}/${Date.now()}-${randomSuffix}`;
     
-    const fileName = `${req.userId}/${Date.now()}-${randomSuffix}${extension}`;
+    // Read what moderators need before the variants drop all metadata
+    const exif = await readExif(req.file.buffer);
     
-    console.log('[UPLOAD] Uploading to Supabase Storage:', fileName);
+    console.log('[UPLOAD] Rendering and uploading variants:', basePath);
     
-    const { error: uploadError } = await supabase.storage
-      .from('photos')
-      .upload(fileName, req.file.buffer, {
-        contentType: req.file.mimetype,
-        upsert: false
-      });
-      
-    if (uploadError) {
-      console.error('[UPLOAD] Storage upload error:', uploadError);
+    let variants;
+    try {
+      const watermark = uploader?.watermark_photos ? watermarkText(uploader.username) : null;
+      variants = await uploadPhotoVariants(basePath, req.file.buffer, watermark, supabase);
+    } catch (uploadError) {
+      console.error('[UPLOAD] Variant upload error:', uploadError);
       return res.status(400).json({ error: 'Failed to upload photo' });
     }
     
-    console.log('[UPLOAD] Storage upload successful. Getting public URL...');
+    // New photos go last
+    const lastOrder = Math.max(0, ...(existingPhotos || []).map(p => p.display_order || 0));
     
-    const { data: { publicUrl } } = supabase.storage
-      .from('photos')
-      .getPublicUrl(fileName);
-      
-    const { error: dbError } = await supabase
+    const { data: photo, error: dbError } = await supabase
       .from('photos')
       .insert({ 
         user_id: req.userId, 
-        url: publicUrl,
-        display_order: existingPhotos?.length + 1 || 1,
+        storage_path: variants.full.path,
+        variants,
+        display_order: lastOrder + 1,
         photo_hash: req.photoHash,
-        photo_type: req.body?.photo_type || 'profile'
-      });
+        photo_dhash: req.photoDHash,
+        photo_type: req.body?.photo_type || 'profile',
+        visibility: req.body?.visibility || 'public'
+      })
+      .select('id, storage_path, variants, display_order, photo_type, visibility')
+      .single();
       
     if (dbError) {
       console.error('[UPLOAD] Database photo error:', dbError);
+      await removePhotoVariants(variants, supabase);
       return res.status(400).json({ error: 'Failed to save photo' });
     }
     
-    console.log('[UPLOAD] Success! URL:', publicUrl);
-    res.json({ url: publicUrl, type: req.body?.photo_type });
+    const { error: exifError } = await supabase
+      .from('photo_exif')
+      .insert({ photo_id: photo.id, user_id: req.userId, ...exif });
+      
+    if (exifError) {
+      console.error('[UPLOAD] EXIF save error:', exifError);
+    }
+    
+    if (req.photoSimilarity) {
+      try {
+        await flagSimilarPhoto(req.userId, req.photoSimilarity, { photo_id: photo.id }, supabase);
+      } catch (flagError) {
+        console.error('[UPLOAD] Similarity flag error:', flagError);
+      }
+    }
+    
+    console.log('[UPLOAD] Success! Photo:', photo.id);
+    const [presented] = await presentPhotos([photo], 'card', supabase);
+    res.json({ ...presented, type: photo.photo_type });
   } catch (err) {
     console.error('[UPLOAD] Critical error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Selfie verification: current badge and the latest request
+app.get('/api/verification', authenticate, async (req, res) => {
+  try {
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('is_verified, verified_at')
+      .eq('id', req.userId)
+      .single();
+      
+    if (userError) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const { data: request } = await supabase
+      .from('verification_requests')
+      .select('id, prompt, status, prompt_expires_at, submitted_at, reviewed_at, rejection_reason')
+      .eq('user_id', req.userId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+      
+    res.json({ ...user, request: request || null });
+  } catch (err) {
+    console.error('Verification status error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Selfie verification step 1: get a random pose to copy
+app.post('/api/verification/prompt', authenticate, verificationLimiter, async (req, res) => {
+  try {
+    const { data: user } = await supabase
+      .from('users')
+      .select('is_verified')
+      .eq('id', req.userId)
+      .single();
+      
+    if (user?.is_verified) {
+      return res.status(400).json({ error: 'Your profile is already verified', code: 'ALREADY_VERIFIED' });
+    }
+    
+    const { request, status, error, code } = await issuePrompt(req.userId, supabase);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+    
+    res.json({ 
+      requestId: request.id, 
+      prompt: request.prompt, 
+      expiresAt: request.prompt_expires_at 
+    });
+  } catch (err) {
+    console.error('Verification prompt error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Selfie verification step 2: upload the selfie for moderator review.
+// It is never shown to other users.
+app.post('/api/verification', authenticate, verificationLimiter, upload.single('photo'), validateImageContent, async (req, res) => {
+  try {
+    const { requestId } = req.body;
+    
+    if (!requestId || !req.file) {
+      return res.status(400).json({ error: 'Request ID and selfie required' });
+    }
+    
+    const exif = await readExif(req.file.buffer);
+    const sanitized = await sanitizeImage(req.file.buffer);
+    
+    const { request, status, error, code } = await submitSelfie(
+      req.userId, requestId, sanitized.buffer, sanitized.imageInfo, exif, supabase
+    );
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+    
+    res.json({ 
+      success: true, 
+      request, 
+      message: 'Thanks! A moderator will review your selfie shortly.' 
+    });
+  } catch (err) {
+    console.error('Verification submit error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 app.put('/api/profile', authenticate, async (req, res) => {
   try {
-    const { bio, contact_method, contact_info, gender, interested_in } = req.body;
+    const { bio, contact_method, contact_info, gender, interested_in, send_read_receipts, watermark_photos, postal_code, max_distance_km, discovery_preferences } = req.body;
     
     const updates = {};
     if (bio !== undefined) updates.bio = bio.substring(0, 500);
@@ -719,6 +1416,58 @@ app.put('/api/profile', authenticate, async (req, res) => {
       updates.interested_in = interested_in;
     }
     
+    if (send_read_receipts !== undefined) {
+      if (typeof send_read_receipts !== 'boolean') {
+        return res.status(400).json({ error: 'send_read_receipts must be true or false' });
+      }
+      updates.send_read_receipts = send_read_receipts;
+    }
+    
+    // Applies to photos uploaded from now on
+    if (watermark_photos !== undefined) {
+      if (typeof watermark_photos !== 'boolean') {
+        return res.status(400).json({ error: 'watermark_photos must be true or false' });
+      }
+      updates.watermark_photos = watermark_photos;
+    }
+    
+    // Empty clears it; discovery then skips distance for this user
+    if (postal_code !== undefined) {
+      updates.postal_fsa = postal_code ? resolveFsa(postal_code) : null;
+      if (postal_code && !updates.postal_fsa) {
+        return res.status(400).json({ 
+          error: 'Enter a valid postal code in our service area, e.g. M5V',
+          code: 'POSTAL_CODE_UNSUPPORTED'
+        });
+      }
+    }
+    
+    if (max_distance_km !== undefined) {
+      updates.max_distance_km = parseMaxDistance(max_distance_km);
+      if (updates.max_distance_km === null) {
+        return res.status(400).json({ error: `max_distance_km must be a whole number from ${MIN_DISTANCE_KM} to ${MAX_DISTANCE_KM}` });
+      }
+    }
+    
+    // Partial updates: only the keys sent change
+    if (discovery_preferences !== undefined) {
+      const { data: current, error: currentError } = await supabase
+        .from('users')
+        .select('discovery_preferences')
+        .eq('id', req.userId)
+        .single();
+        
+      if (currentError) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      
+      const parsed = parseDiscoveryPreferences(discovery_preferences, discoveryPreferences(current));
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error, code: 'INVALID_DISCOVERY_PREFERENCES' });
+      }
+      updates.discovery_preferences = parsed.preferences;
+    }
+    
     const { data, error } = await supabase
       .from('users')
       .update(updates)
@@ -732,6 +1481,7 @@ app.put('/api/profile', authenticate, async (req, res) => {
     }
     
     delete data.password_hash;
+    data.discovery_preferences = discoveryPreferences(data);
     res.json(data);
   } catch (err) {
     console.error('Update profile error:', err);
@@ -763,6 +1513,12 @@ app.post('/api/block', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Already blocked this user' });
     }
     
+    try {
+      await revokeAlbumsBetween(req.userId, targetId, supabase);
+    } catch (albumError) {
+      console.error('Block album revoke error:', albumError);
+    }
+    
     res.json({ success: true, message: 'User blocked successfully' });
   } catch (err) {
     console.error('Block error:', err);
@@ -782,30 +1538,57 @@ app.post('/api/report', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Invalid report reason' });
     }
     
+    if (targetId === req.userId) {
+      return res.status(400).json({ error: 'Cannot report yourself' });
+    }
+    
+    const { data: existingReport } = await supabase
+      .from('reports')
+      .select('id')
+      .eq('reporter_id', req.userId)
+      .eq('reported_id', targetId)
+      .eq('status', 'pending')
+      .maybeSingle();
+      
+    if (existingReport) {
+      return res.status(409).json({ error: 'You have already reported this user', code: 'ALREADY_REPORTED' });
+    }
+    
+    const { weight, breakdown } = await computeReportWeight(req.userId, targetId, reason, supabase);
+    
     const { error } = await supabase
       .from('reports')
       .insert({ 
         reporter_id: req.userId, 
         reported_id: targetId,
         reason,
-        details: details || null
+        details: details || null,
+        weight,
+        score_breakdown: breakdown
       });
       
     if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'You have already reported this user', code: 'ALREADY_REPORTED' });
+      }
       console.error('Report error:', error);
       return res.status(400).json({ error: 'Failed to submit report' });
     }
     
-    const { count, error: countError } = await supabase
-      .from('reports')
-      .select('*', { count: 'exact', head: true })
-      .eq('reported_id', targetId);
-      
-    if (!countError && count >= 3) {
+    const score = await scoreReportedUser(targetId, supabase);
+    
+    // Suspension is temporary until a moderator reviews the queue item
+    if (score.score >= REPORT_SCORING.suspendThreshold) {
       await supabase
         .from('users')
-        .update({ is_suspended: true })
-        .eq('id', targetId);
+        .update({ is_suspended: true, suspended_at: new Date().toISOString() })
+        .eq('id', targetId)
+        .eq('is_suspended', false);
+        
+      await closeUserSockets(targetId, { code: 4003, reason: 'ACCOUNT_SUSPENDED' });
+      await enqueueModeration(targetId, 'auto_suspension', score, supabase);
+    } else if (score.score >= REPORT_SCORING.reviewThreshold) {
+      await enqueueModeration(targetId, 'report_score', score, supabase);
     }
     
     res.json({ success: true, message: 'Report submitted' });
@@ -819,7 +1602,7 @@ app.put('/api/mode', authenticate, async (req, res) => {
   try {
     const { mode } = req.body;
     
-    if (!['tease_toes', 'apocalypse_ankles'].includes(mode)) {
+    if (!USER_MODES.includes(mode)) {
       return res.status(400).json({ error: 'Invalid mode' });
     }
     
@@ -925,12 +1708,14 @@ app.use((err, req, res, next) => {
 
 // START SERVER
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`✅ ScentedSoleMates Backend running on port ${PORT}`);
   console.log(`🔒 Security: helmet + rate limiting + email validation`);
-  console.log(`🌐 GTA Metro Cluster: ACTIVE (all cities → toronto)`);
+  console.log(`🌐 Regions: ${activeRegions().map(r => r.id).join(', ') || 'none active'}`);
   console.log(`📸 Photo limit: 6 (upgraded from 3)`);
-  console.log(`📊 EXIF: Preserved for fake detection`);
+  console.log(`📊 EXIF: Stripped from public images, kept privately for moderation`);
   console.log(`🔐 Auth: Bcrypt (working perfectly)`);
   console.log(`🚀 Health: http://localhost:${PORT}/health`);
-});
\ No newline at end of file
+});
+
+attachRealtime(server, supabase);
\ No newline at end of file
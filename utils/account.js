@@ -0,0 +1,231 @@
+const { revokeAllSessions } = require('./sessions');
+const { removeStorageFolder } = require('./storage');
+const { removeMatchMedia } = require('./chatMedia');
+const { signPhotos, photoUrl } = require('./photos');
+const { removeUserSelfies } = require('./selfieVerification');
+const { getPartnerId } = require('./matches');
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// Fields never included in an export
+const PRIVATE_USER_FIELDS = ['password_hash'];
+
+// Build the full personal-data archive for a user (PIPEDA access request)
+async function buildAccountExport(userId, supabase) {
+  const { data: user, error: userError } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', userId)
+    .single();
+
+  if (userError) throw userError;
+  PRIVATE_USER_FIELDS.forEach(field => delete user[field]);
+
+  const { data: matches } = await supabase
+    .from('matches')
+    .select('id, user1_id, user2_id, created_at')
+    .or(`user1_id.eq.${userId},user2_id.eq.${userId}`);
+
+  const matchIds = (matches || []).map(m => m.id);
+
+  const [photos, swipes, messages, blocks, reports, challenges, sessions, albumGrants, verifications] = await Promise.all([
+    supabase.from('photos').select('*, exif:photo_exif(*)').eq('user_id', userId).order('display_order', { ascending: true }),
+    supabase.from('swipes').select('swiped_id, direction, created_at').eq('swiper_id', userId),
+    // Partners' messages the safety filter held back were never delivered
+    matchIds.length > 0
+      ? supabase.from('messages').select('*').in('match_id', matchIds)
+        .or(`moderation_status.eq.visible,sender_id.eq.${userId}`)
+        .order('created_at', { ascending: true })
+      : Promise.resolve({ data: [] }),
+    supabase.from('blocks').select('blocked_id, created_at').eq('blocker_id', userId),
+    supabase.from('reports').select('reported_id, reason, details, created_at').eq('reporter_id', userId),
+    supabase.from('challenge_completions').select('challenge_type, completed_at').eq('user_id', userId),
+    supabase.from('sessions').select('id, user_agent, ip_address, created_at, last_used_at, revoked_at').eq('user_id', userId),
+    supabase.from('album_grants').select('grantee_id, match_id, created_at').eq('owner_id', userId),
+    supabase.from('verification_requests').select('prompt, status, submitted_at, reviewed_at, rejection_reason, created_at').eq('user_id', userId)
+  ]);
+
+  const failed = [photos, swipes, messages, blocks, reports, challenges, sessions, albumGrants, verifications].find(r => r.error);
+  if (failed) throw failed.error;
+
+  // Photos are private; the archive carries short-lived download links
+  const signed = await signPhotos(photos.data, ['original'], supabase);
+
+  // Read state on messages to partners who don't send read receipts is
+  // theirs to withhold, same as in the chat
+  const partnerIds = (matches || []).map(m => getPartnerId(m, userId));
+  const { data: hidingPartners } = partnerIds.length > 0
+    ? await supabase.from('users').select('id').in('id', partnerIds).eq('send_read_receipts', false)
+    : { data: [] };
+  const hidesReceipts = new Set((hidingPartners || []).map(p => p.id));
+  const hiddenMatchIds = new Set((matches || []).filter(m => hidesReceipts.has(getPartnerId(m, userId))).map(m => m.id));
+
+  const exportedMessages = (messages.data || []).map(m => {
+    if (m.sender_id !== userId || !hiddenMatchIds.has(m.match_id)) return m;
+    const { is_read, read_at, ...rest } = m;
+    return rest;
+  });
+
+  return {
+    exported_at: new Date().toISOString(),
+    profile: user,
+    photos: (photos.data || []).map(photo => ({ ...photo, download_url: photoUrl(photo, 'original', signed) })),
+    swipes: swipes.data || [],
+    matches: (matches || []).map(m => ({
+      id: m.id,
+      partner_id: getPartnerId(m, userId),
+      created_at: m.created_at
+    })),
+    messages: exportedMessages,
+    blocks: blocks.data || [],
+    reports_filed: reports.data || [],
+    challenge_completions: challenges.data || [],
+    sessions: sessions.data || [],
+    album_grants: albumGrants.data || [],
+    verification_requests: verifications.data || []
+  };
+}
+
+// Hide the account immediately and schedule the purge
+async function scheduleAccountDeletion(userId, supabase) {
+  const now = new Date();
+  const scheduledFor = new Date(now.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  const { error } = await supabase
+    .from('users')
+    .update({
+      deleted_at: now.toISOString(),
+      deletion_scheduled_for: scheduledFor.toISOString()
+    })
+    .eq('id', userId);
+
+  if (error) throw error;
+
+  await revokeAllSessions(userId, 'account_deleted', supabase);
+  return scheduledFor;
+}
+
+async function cancelAccountDeletion(userId, supabase) {
+  const { error } = await supabase
+    .from('users')
+    .update({ deleted_at: null, deletion_scheduled_for: null })
+    .eq('id', userId)
+    .is('purged_at', null);
+
+  if (error) throw error;
+}
+
+// Remove everything the user owns. The users row stays as an anonymous
+// tombstone, so foreign-key cascades never fire and every table holding
+// their data is cleared here. What is kept, pointing at the tombstone:
+// reports filed against them and the resulting moderation decisions
+// (reports.reported_id, admin_audit_log), so repeat offenders stay visible
+// to moderators. Safe to re-run if a previous attempt failed.
+async function purgeAccount(userId, supabase) {
+  const { data: account, error: accountError } = await supabase
+    .from('users')
+    .select('email')
+    .eq('id', userId)
+    .single();
+
+  if (accountError) throw accountError;
+
+  await removeStorageFolder('photos', userId, supabase);
+  await removeUserSelfies(userId, supabase);
+
+  const { data: matches } = await supabase
+    .from('matches')
+    .select('id')
+    .or(`user1_id.eq.${userId},user2_id.eq.${userId}`);
+
+  const matchIds = (matches || []).map(m => m.id);
+
+  for (const matchId of matchIds) {
+    await removeMatchMedia(matchId, supabase);
+  }
+
+  const steps = [
+    () => matchIds.length > 0 ? supabase.from('messages').delete().in('match_id', matchIds) : { error: null },
+    () => supabase.from('matches').delete().or(`user1_id.eq.${userId},user2_id.eq.${userId}`),
+    () => supabase.from('photos').delete().eq('user_id', userId),
+    () => supabase.from('swipes').delete().or(`swiper_id.eq.${userId},swiped_id.eq.${userId}`),
+    () => supabase.from('blocks').delete().or(`blocker_id.eq.${userId},blocked_id.eq.${userId}`),
+    () => supabase.from('reports').delete().eq('reporter_id', userId),
+    () => supabase.from('challenge_completions').delete().eq('user_id', userId),
+    () => supabase.from('email_verification_tokens').delete().eq('user_id', userId),
+    () => supabase.from('password_reset_tokens').delete().eq('user_id', userId),
+    () => supabase.from('sessions').delete().eq('user_id', userId),
+    () => supabase.from('verification_requests').delete().eq('user_id', userId),
+    () => supabase.from('album_grants').delete().or(`owner_id.eq.${userId},grantee_id.eq.${userId}`),
+    () => supabase.from('message_filter_events').delete().eq('user_id', userId),
+    () => supabase.from('discovery_decks').delete().eq('user_id', userId),
+    () => supabase.from('discovery_deck_entries').delete().eq('candidate_id', userId),
+    () => supabase.from('moderation_queue').delete().eq('user_id', userId),
+    () => supabase.from('admin_notes').delete().eq('user_id', userId),
+    // Waitlist entries are keyed by email, not user
+    () => supabase.from('waitlist').delete().eq('email', account.email.toLowerCase())
+  ];
+
+  for (const step of steps) {
+    const { error } = await step();
+    if (error) throw error;
+  }
+
+  const { error } = await supabase
+    .from('users')
+    .update({
+      email: `deleted-${userId}@deleted.invalid`,
+      username: `deleted_${userId.replace(/-/g, '').substring(0, 12)}`,
+      password_hash: '',
+      bio: null,
+      contact_method: null,
+      contact_info: null,
+      age: null,
+      city: null,
+      region: null,
+      postal_fsa: null,
+      discovery_preferences: {},
+      gender: null,
+      interested_in: [],
+      email_verified: false,
+      is_verified: false,
+      verified_at: null,
+      purged_at: new Date().toISOString()
+    })
+    .eq('id', userId);
+
+  if (error) throw error;
+}
+
+// Purge every account whose grace period is over. Returns how many were purged.
+async function purgeDueAccounts(supabase) {
+  const { data: due, error } = await supabase
+    .from('users')
+    .select('id')
+    .not('deleted_at', 'is', null)
+    .is('purged_at', null)
+    .lte('deletion_scheduled_for', new Date().toISOString());
+
+  if (error) throw error;
+
+  let purged = 0;
+  for (const user of due || []) {
+    try {
+      await purgeAccount(user.id, supabase);
+      purged++;
+      console.log('[PURGE] Account purged:', user.id);
+    } catch (err) {
+      console.error('[PURGE] Failed for user', user.id, err);
+    }
+  }
+  return purged;
+}
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  buildAccountExport,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeAccount,
+  purgeDueAccounts
+};
@@ -0,0 +1,87 @@
+const { loadMatchForUser, getPartnerId, hasBlockBetween } = require('./matches');
+
+// Private albums. A photo's visibility is public (anyone allowed to see the
+// owner's photos) or private (only the owner and matches they've granted).
+// Grants hang off the match row, so unmatching deletes them; a block ends
+// access through photoRelationship and also deletes the grants.
+const PHOTO_VISIBILITIES = ['public', 'private'];
+
+// Owners (among ownerIds) who have granted viewerId their private album
+async function albumGrantorsFor(viewerId, ownerIds, supabase) {
+  if (ownerIds.length === 0) return new Set();
+
+  const { data, error } = await supabase
+    .from('album_grants')
+    .select('owner_id')
+    .eq('grantee_id', viewerId)
+    .in('owner_id', ownerIds);
+
+  if (error) throw error;
+  return new Set((data || []).map(g => g.owner_id));
+}
+
+async function hasAlbumAccess(viewerId, ownerId, supabase) {
+  if (viewerId === ownerId) return true;
+  return (await albumGrantorsFor(viewerId, [ownerId], supabase)).has(ownerId);
+}
+
+// Drop private photos unless the viewer has album access. Verification
+// selfies are never shown to anyone but moderators.
+function visiblePhotos(photos, includePrivate) {
+  return (photos || []).filter(photo => photo.photo_type !== 'verification'
+    && (includePrivate || photo.visibility !== 'private'));
+}
+
+// Grant the partner in matchId access to ownerId's private album.
+// Resolves to { grant } or { status, error }.
+async function grantAlbum(ownerId, matchId, supabase) {
+  const { match, status, error: matchError } = await loadMatchForUser(matchId, ownerId, supabase);
+  if (matchError) return { status, error: matchError };
+
+  const granteeId = getPartnerId(match, ownerId);
+  if (await hasBlockBetween(ownerId, granteeId, supabase)) {
+    return { status: 403, error: 'You can no longer share with this user' };
+  }
+
+  const { data: grant, error } = await supabase
+    .from('album_grants')
+    .upsert({ owner_id: ownerId, grantee_id: granteeId, match_id: matchId }, { onConflict: 'owner_id,grantee_id' })
+    .select('grantee_id, match_id, created_at')
+    .single();
+
+  if (error) throw error;
+  return { grant };
+}
+
+// Returns true if a grant was removed
+async function revokeAlbum(ownerId, granteeId, supabase) {
+  const { data, error } = await supabase
+    .from('album_grants')
+    .delete()
+    .eq('owner_id', ownerId)
+    .eq('grantee_id', granteeId)
+    .select('grantee_id');
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+// Grants in either direction between two users, e.g. after a block
+async function revokeAlbumsBetween(userA, userB, supabase) {
+  const { error } = await supabase
+    .from('album_grants')
+    .delete()
+    .or(`and(owner_id.eq.${userA},grantee_id.eq.${userB}),and(owner_id.eq.${userB},grantee_id.eq.${userA})`);
+
+  if (error) throw error;
+}
+
+module.exports = {
+  PHOTO_VISIBILITIES,
+  albumGrantorsFor,
+  hasAlbumAccess,
+  visiblePhotos,
+  grantAlbum,
+  revokeAlbum,
+  revokeAlbumsBetween
+};
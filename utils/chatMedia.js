@@ -0,0 +1,77 @@
+const { removeStorageFolder } = require('./storage');
+
+// Chat images live in a private bucket, one folder per match. Nothing is
+// ever public: participants get signed URLs that expire quickly, so
+// unmatching or blocking cuts off access within minutes.
+const CHAT_MEDIA_BUCKET = 'chat-media';
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.CHAT_MEDIA_URL_TTL_SECONDS) || 300;
+
+// imageInfo comes from validateImageContent
+async function uploadChatMedia(matchId, buffer, imageInfo, supabase) {
+  const randomSuffix = Math.random().toString(36).substring(2, 9);
+  const path = `${matchId}/${Date.now()}-${randomSuffix}${imageInfo.extension}`;
+
+  const { error } = await supabase.storage
+    .from(CHAT_MEDIA_BUCKET)
+    .upload(path, buffer, {
+      contentType: imageInfo.mimetype,
+      upsert: false
+    });
+
+  if (error) throw error;
+  return path;
+}
+
+// Adds media_url to image messages. Callers must already have checked the
+// viewer may see this match's media. media_path itself is never returned.
+async function attachMediaUrls(messages, supabase) {
+  const paths = messages.filter(m => m.media_path).map(m => m.media_path);
+  const urlByPath = new Map();
+
+  if (paths.length > 0) {
+    const { data, error } = await supabase.storage
+      .from(CHAT_MEDIA_BUCKET)
+      .createSignedUrls(paths, SIGNED_URL_TTL_SECONDS);
+
+    if (error) {
+      console.error('Chat media signing error:', error);
+    }
+    (data || []).forEach(d => {
+      if (d.signedUrl) urlByPath.set(d.path, d.signedUrl);
+    });
+  }
+
+  return messages.map(m => stripMedia(m, urlByPath.get(m.media_path) || null));
+}
+
+// Same shape as attachMediaUrls but with access withheld
+function withoutMediaUrls(messages) {
+  return messages.map(m => stripMedia(m, null));
+}
+
+function stripMedia(message, mediaUrl) {
+  const { media_path, media_hash, ...rest } = message;
+  if (message.message_type === 'image') {
+    rest.media_url = mediaUrl;
+  }
+  return rest;
+}
+
+// Best-effort cleanup of an upload whose message never got saved
+async function removeChatMedia(path, supabase) {
+  const { error } = await supabase.storage.from(CHAT_MEDIA_BUCKET).remove([path]);
+  if (error) console.error('Chat media cleanup error:', path, error);
+}
+
+async function removeMatchMedia(matchId, supabase) {
+  await removeStorageFolder(CHAT_MEDIA_BUCKET, matchId, supabase);
+}
+
+module.exports = {
+  CHAT_MEDIA_BUCKET,
+  uploadChatMedia,
+  attachMediaUrls,
+  withoutMediaUrls,
+  removeChatMedia,
+  removeMatchMedia
+};
@@ -0,0 +1,105 @@
+const { isRegionActive } = require('./regions');
+
+// Who can be shown to whom in discovery lives in one place: the
+// discovery_candidates database function (migrations/022). The feed and
+// photo access both go through it, so a profile's photos are viewable
+// exactly when the profile itself could be served.
+
+// True if candidateId passes every discovery rule for viewerId, both
+// users' preferences and distance limits included. The viewer's region
+// must also be active, which only the server knows.
+async function isDiscoverableTo(viewerId, candidateId, viewerRegion, supabase) {
+  if (!isRegionActive(viewerRegion)) return false;
+
+  const { data, error } = await supabase.rpc('discovery_candidates', {
+    p_user_id: viewerId,
+    p_verified_only: false,
+    p_candidate_id: candidateId
+  });
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+// users.max_distance_km bounds; the column defaults to 50
+const MIN_DISTANCE_KM = 1;
+const MAX_DISTANCE_KM = 250;
+
+// Whole km within bounds, or null
+function parseMaxDistance(value) {
+  const km = Number(value);
+  if (!Number.isInteger(km) || km < MIN_DISTANCE_KM || km > MAX_DISTANCE_KM) return null;
+  return km;
+}
+
+// Discovery preferences, stored in users.discovery_preferences. Every
+// filter works both ways: a profile is only shown if it passes the viewer's
+// preferences and the viewer passes the profile's. Empty lists mean "any".
+// discovery_candidates repeats these defaults.
+const USER_MODES = ['tease_toes', 'apocalypse_ankles'];
+const PREFERENCE_PHOTO_TYPES = ['face', 'feet', 'socks', 'shoes', 'pedicure'];
+const MIN_AGE = 18;
+const MAX_AGE = 99;
+
+const DEFAULT_PREFERENCES = {
+  min_age: MIN_AGE,
+  max_age: MAX_AGE,
+  verified_only: false,
+  photo_types: [],
+  modes: []
+};
+
+// Stored preferences with defaults filled in for anything never set
+function discoveryPreferences(user) {
+  return { ...DEFAULT_PREFERENCES, ...(user.discovery_preferences || {}) };
+}
+
+// Apply a partial update on top of current preferences.
+// Resolves to { preferences } or { error }.
+function parseDiscoveryPreferences(input, current) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'discovery_preferences must be an object' };
+  }
+
+  const unknown = Object.keys(input).filter(key => !(key in DEFAULT_PREFERENCES));
+  if (unknown.length > 0) {
+    return { error: `Unknown discovery preference: ${unknown.join(', ')}` };
+  }
+
+  const preferences = { ...current, ...input };
+
+  for (const key of ['min_age', 'max_age']) {
+    const age = preferences[key];
+    if (!Number.isInteger(age) || age < MIN_AGE || age > MAX_AGE) {
+      return { error: `${key} must be a whole number from ${MIN_AGE} to ${MAX_AGE}` };
+    }
+  }
+  if (preferences.min_age > preferences.max_age) {
+    return { error: 'min_age cannot be greater than max_age' };
+  }
+
+  if (typeof preferences.verified_only !== 'boolean') {
+    return { error: 'verified_only must be true or false' };
+  }
+
+  const lists = { photo_types: PREFERENCE_PHOTO_TYPES, modes: USER_MODES };
+  for (const [key, allowed] of Object.entries(lists)) {
+    const values = preferences[key];
+    if (!Array.isArray(values) || values.some(v => !allowed.includes(v))) {
+      return { error: `${key} must be a list of: ${allowed.join(', ')}` };
+    }
+    preferences[key] = [...new Set(values)];
+  }
+
+  return { preferences };
+}
+
+module.exports = {
+  MIN_DISTANCE_KM,
+  MAX_DISTANCE_KM,
+  USER_MODES,
+  isDiscoverableTo,
+  parseMaxDistance,
+  discoveryPreferences,
+  parseDiscoveryPreferences
+};
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+// Weights and tuning for the discovery score, computed when a deck is built
+// by build_discovery_deck (migrations/023). Loaded from config/discoveryRanking.json; point
+// DISCOVERY_RANKING_FILE at another file to override it.
+
+const SIGNALS = ['activity', 'completeness', 'shared_likes', 'liked_me', 'new_profile', 'proximity'];
+const SETTINGS = [
+  'activity_half_life_days',
+  'new_profile_half_life_days',
+  'complete_photo_count',
+  'complete_photo_types',
+  'shared_likes_cap',
+  'deck_size'
+];
+
+function loadRanking(file) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const weights = raw.weights || {};
+
+  SIGNALS.forEach(signal => {
+    if (typeof weights[signal] !== 'number' || !(weights[signal] >= 0)) {
+      throw new Error(`Discovery ranking: weights.${signal} must be a number >= 0`);
+    }
+  });
+  Object.keys(weights).forEach(signal => {
+    if (!SIGNALS.includes(signal)) {
+      throw new Error(`Discovery ranking: unknown signal "${signal}"`);
+    }
+  });
+  SETTINGS.forEach(setting => {
+    if (typeof raw[setting] !== 'number' || !(raw[setting] > 0)) {
+      throw new Error(`Discovery ranking: ${setting} must be a number > 0`);
+    }
+  });
+
+  // Counts are compared with whole numbers in the database
+  ['complete_photo_count', 'complete_photo_types', 'shared_likes_cap', 'deck_size'].forEach(setting => {
+    if (!Number.isInteger(raw[setting])) {
+      throw new Error(`Discovery ranking: ${setting} must be a whole number`);
+    }
+  });
+
+  // deck_size only tells the server how much to snapshot; the rest is
+  // what the scoring SQL reads
+  const ranking = { weights: { ...weights } };
+  SETTINGS.filter(setting => setting !== 'deck_size').forEach(setting => { ranking[setting] = raw[setting]; });
+  return { ranking, deckSize: raw.deck_size };
+}
+
+const { ranking: RANKING, deckSize: DECK_SIZE } = loadRanking(
+  process.env.DISCOVERY_RANKING_FILE || path.join(__dirname, '..', 'config', 'discoveryRanking.json')
+);
+
+// Per-signal detail for admins: how strong each signal was and what it added
+function scoreBreakdown(row) {
+  const signals = {};
+  SIGNALS.forEach(signal => {
+    signals[signal] = {
+      value: row[signal],
+      weight: RANKING.weights[signal],
+      points: row[signal] * RANKING.weights[signal]
+    };
+  });
+  return { score: row.score, signals };
+}
+
+module.exports = {
+  RANKING,
+  DECK_SIZE,
+  scoreBreakdown
+};
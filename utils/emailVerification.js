@@ -0,0 +1,75 @@
+const { generateToken, hashToken } = require('./tokens');
+const { sendMail } = require('./mailer');
+
+const VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// Issue a fresh token for the user. Any older unused tokens are retired
+// first so only the most recent email link works.
+async function createVerificationToken(userId, supabase) {
+  const now = new Date().toISOString();
+
+  await supabase
+    .from('email_verification_tokens')
+    .update({ used_at: now })
+    .eq('user_id', userId)
+    .is('used_at', null);
+
+  const { token, tokenHash } = generateToken();
+  const expiresAt = new Date(Date.now() + VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+
+  const { error } = await supabase
+    .from('email_verification_tokens')
+    .insert({
+      user_id: userId,
+      token_hash: tokenHash,
+      expires_at: expiresAt.toISOString()
+    });
+
+  if (error) throw error;
+  return token;
+}
+
+async function sendVerificationEmail(user, supabase) {
+  const token = await createVerificationToken(user.id, supabase);
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your ScentedSoleMates email',
+    text: `Hi ${user.username},\n\nConfirm your email to finish signing up:\n${link}\n\n` +
+      `This link expires in ${VERIFICATION_TTL_HOURS} hours. If you didn't sign up, ignore this email.`
+  });
+}
+
+// Consume a token. Returns the user id on success, null if the token is
+// unknown, expired or already used. The conditional update makes the
+// token single-use even under concurrent requests.
+async function consumeVerificationToken(token, supabase) {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('email_verification_tokens')
+    .update({ used_at: now })
+    .eq('token_hash', hashToken(token))
+    .is('used_at', null)
+    .gt('expires_at', now)
+    .select('user_id')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  const { error: userError } = await supabase
+    .from('users')
+    .update({ email_verified: true, email_verified_at: now })
+    .eq('id', data.user_id);
+
+  if (userError) throw userError;
+  return data.user_id;
+}
+
+module.exports = {
+  sendVerificationEmail,
+  consumeVerificationToken
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+
+// Approximate location from a postal code's forward sortation area (FSA,
+// the first three characters, e.g. "M5V"). Only the FSA is ever stored, and
+// distances are computed between FSA centroids from a bundled dataset, so
+// nobody's address or coordinates leave the server. Point
+// FSA_CENTROIDS_FILE at another file to override config/fsaCentroids.json.
+// Discovery measures distance in the database, against a copy of the
+// dataset kept in fsa_centroids by syncFsaCentroids.
+
+const FSA_PATTERN = /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z]$/;
+
+function loadCentroids(file) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const centroids = new Map();
+
+  Object.entries(raw.centroids).forEach(([fsa, [lat, lng]]) => {
+    if (!FSA_PATTERN.test(fsa)) {
+      throw new Error(`FSA centroids: "${fsa}" is not a valid FSA`);
+    }
+    centroids.set(fsa, { lat, lng });
+  });
+
+  return centroids;
+}
+
+const CENTROIDS = loadCentroids(
+  process.env.FSA_CENTROIDS_FILE || path.join(__dirname, '..', 'config', 'fsaCentroids.json')
+);
+
+// "m5v 3l9", "M5V3L9" and "M5V" all give "M5V"; anything else gives null
+function normalizeFsa(input) {
+  const fsa = String(input || '').toUpperCase().replace(/\s+/g, '').substring(0, 3);
+  return FSA_PATTERN.test(fsa) ? fsa : null;
+}
+
+// Known FSA for a postal code, or null if it's malformed or not covered
+function resolveFsa(input) {
+  const fsa = normalizeFsa(input);
+  return fsa && CENTROIDS.has(fsa) ? fsa : null;
+}
+
+// What users are shown. Centroids are only good to a couple of km, so
+// never claim more precision than that: at least 1 km, whole km up to 10,
+// then the nearest 5.
+function roundDistanceKm(km) {
+  if (km < 10) return Math.max(1, Math.round(km));
+  return Math.round(km / 5) * 5;
+}
+
+// Copy the dataset into fsa_centroids, dropping FSAs no longer in it.
+// Returns how many centroids the table now holds.
+async function syncFsaCentroids(supabase) {
+  const rows = [...CENTROIDS].map(([fsa, { lat, lng }]) => ({ fsa, lat, lng }));
+
+  const { error } = await supabase
+    .from('fsa_centroids')
+    .upsert(rows, { onConflict: 'fsa' });
+
+  if (error) throw error;
+
+  const { error: deleteError } = await supabase
+    .from('fsa_centroids')
+    .delete()
+    .not('fsa', 'in', `(${rows.map(r => r.fsa).join(',')})`);
+
+  if (deleteError) throw deleteError;
+  return rows.length;
+}
+
+module.exports = {
+  normalizeFsa,
+  resolveFsa,
+  roundDistanceKm,
+  syncFsaCentroids
+};
@@ -0,0 +1,196 @@
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const { PHOTOS_BUCKET } = require('./photos');
+const { watermarkSvg } = require('./watermark');
+
+// Server-side photo processing. The raw upload is never stored: every upload
+// is re-encoded into WebP variants with all metadata dropped (sharp only
+// copies metadata when asked), so GPS and device details can't leak to
+// whoever views the photo. The handful of EXIF fields moderators use to
+// spot fakes are kept privately in photo_exif.
+
+// Thumbnails are too small to be worth scraping, so they stay unmarked
+const VARIANTS = {
+  thumb: { width: 256, height: 256, fit: 'cover', quality: 75, watermark: false },
+  card: { width: 720, height: 960, fit: 'inside', quality: 80, watermark: true },
+  full: { width: 1600, height: 1600, fit: 'inside', quality: 85, watermark: true }
+};
+
+function exifDate(value) {
+  return value instanceof Date && !isNaN(value) ? value.toISOString() : null;
+}
+
+// The fields worth keeping for fake detection. Location is reduced to a
+// yes/no: we don't want anyone's home coordinates, even privately.
+async function readExif(buffer) {
+  const metadata = await sharp(buffer).metadata();
+
+  let tags = {};
+  if (metadata.exif) {
+    try {
+      tags = exifReader(metadata.exif);
+    } catch (err) {
+      console.warn('Unreadable EXIF block:', err.message);
+    }
+  }
+
+  const image = tags.Image || {};
+  const photo = tags.Photo || {};
+
+  return {
+    camera_make: image.Make || null,
+    camera_model: image.Model || null,
+    software: image.Software || null,
+    taken_at: exifDate(photo.DateTimeOriginal) || exifDate(image.DateTime),
+    has_location: !!(tags.GPSInfo && Object.keys(tags.GPSInfo).length > 0),
+    original_width: metadata.width || null,
+    original_height: metadata.height || null,
+    original_format: metadata.format || null
+  };
+}
+
+// Orientation is baked in before metadata is dropped so photos stay upright.
+// watermark is the text to tile over variants that take one, or null.
+async function renderVariant(buffer, name, watermark) {
+  const spec = VARIANTS[name];
+  let pipeline = sharp(buffer)
+    .rotate()
+    .resize(spec.width, spec.height, { fit: spec.fit, withoutEnlargement: true });
+
+  if (watermark && spec.watermark) {
+    // Resize first so the overlay matches the final dimensions
+    const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+    pipeline = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+      .composite([{ input: watermarkSvg(info.width, info.height, watermark) }]);
+  }
+
+  const { data, info } = await pipeline
+    .webp({ quality: spec.quality })
+    .toBuffer({ resolveWithObject: true });
+
+  return { buffer: data, width: info.width, height: info.height };
+}
+
+// Render and upload every variant under basePath (e.g. "<userId>/<stamp>").
+// Returns { thumb: { path, width, height }, card: ..., full: ... }. With a
+// watermark there is also an unwatermarked "original" at full size, which
+// only moderators and the owner's data export ever see.
+// Anything already uploaded is removed again if a later step fails.
+async function uploadPhotoVariants(basePath, buffer, watermark, supabase) {
+  const variants = {};
+  const renders = Object.keys(VARIANTS).map(name => ({ name, spec: name, watermark }));
+  if (watermark) renders.push({ name: 'original', spec: 'full', watermark: null });
+
+  try {
+    for (const render of renders) {
+      const rendered = await renderVariant(buffer, render.spec, render.watermark);
+      const path = `${basePath}-${render.name}.webp`;
+
+      const { error } = await supabase.storage
+        .from(PHOTOS_BUCKET)
+        .upload(path, rendered.buffer, { contentType: 'image/webp', upsert: false });
+
+      if (error) throw error;
+      variants[render.name] = { path, width: rendered.width, height: rendered.height };
+    }
+  } catch (err) {
+    await removePhotoVariants(variants, supabase);
+    throw err;
+  }
+
+  return variants;
+}
+
+async function removePhotoVariants(variants, supabase) {
+  const paths = Object.values(variants || {}).map(v => v.path).filter(Boolean);
+  if (paths.length === 0) return null;
+
+  const { error } = await supabase.storage.from(PHOTOS_BUCKET).remove(paths);
+  return error;
+}
+
+// Images that don't need variants (chat photos, verification selfies) get
+// the same treatment at full size only
+async function sanitizeImage(buffer) {
+  const rendered = await renderVariant(buffer, 'full', null);
+  return {
+    buffer: rendered.buffer,
+    imageInfo: { format: 'webp', mimetype: 'image/webp', extension: '.webp', width: rendered.width, height: rendered.height }
+  };
+}
+
+// Photos uploaded before this pipeline are originals, EXIF and all.
+// Re-render each into variants, record its EXIF, then delete the original.
+// Returns how many were converted; failures are logged and retried next run.
+async function reprocessLegacyPhotos(supabase) {
+  let converted = 0;
+  let lastId = null;
+
+  for (;;) {
+    let query = supabase
+      .from('photos')
+      .select('id, user_id, storage_path')
+      .is('variants', null)
+      .not('storage_path', 'is', null)
+      .order('id', { ascending: true })
+      .limit(50);
+
+    if (lastId) query = query.gt('id', lastId);
+
+    const { data: photos, error } = await query;
+    if (error) throw error;
+    if (!photos || photos.length === 0) break;
+
+    for (const photo of photos) {
+      try {
+        const { data: file, error: downloadError } = await supabase.storage
+          .from(PHOTOS_BUCKET)
+          .download(photo.storage_path);
+
+        if (downloadError) throw downloadError;
+
+        const buffer = Buffer.from(await file.arrayBuffer());
+        const exif = await readExif(buffer);
+        const variants = await uploadPhotoVariants(photo.storage_path.replace(/\.[^./]+$/, ''), buffer, null, supabase);
+
+        const { error: updateError } = await supabase
+          .from('photos')
+          .update({ storage_path: variants.full.path, variants })
+          .eq('id', photo.id);
+
+        if (updateError) {
+          await removePhotoVariants(variants, supabase);
+          throw updateError;
+        }
+
+        const { error: exifError } = await supabase
+          .from('photo_exif')
+          .upsert({ photo_id: photo.id, user_id: photo.user_id, ...exif });
+
+        if (exifError) console.error('[REPROCESS] EXIF save failed for photo', photo.id, exifError);
+
+        const { error: removeError } = await supabase.storage
+          .from(PHOTOS_BUCKET)
+          .remove([photo.storage_path]);
+
+        if (removeError) console.error('[REPROCESS] Original not removed for photo', photo.id, removeError);
+        converted++;
+      } catch (err) {
+        console.error('[REPROCESS] Failed for photo', photo.id, err);
+      }
+    }
+
+    lastId = photos[photos.length - 1].id;
+  }
+
+  return converted;
+}
+
+module.exports = {
+  VARIANTS,
+  readExif,
+  uploadPhotoVariants,
+  removePhotoVariants,
+  sanitizeImage,
+  reprocessLegacyPhotos
+};
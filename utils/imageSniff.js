@@ -0,0 +1,193 @@
+// Identify an uploaded image from its bytes, never from the client's
+// mimetype. Walks the container structure far enough to read dimensions
+// and find where the image really ends, so we can refuse malformed files,
+// oversized images, decompression bombs and polyglots.
+
+const MAX_DIMENSION = parseInt(process.env.MAX_IMAGE_DIMENSION) || 8000;
+const MAX_PIXELS = parseInt(process.env.MAX_IMAGE_PIXELS) || 40 * 1000 * 1000;
+// Decoded pixels per stored byte. Real photos sit well under 100; only
+// checked on big images, where decoding a bomb actually hurts.
+const MAX_PIXELS_PER_BYTE = parseInt(process.env.MAX_IMAGE_PIXELS_PER_BYTE) || 1000;
+const BOMB_CHECK_MIN_PIXELS = 4 * 1000 * 1000;
+
+const FORMATS = {
+  jpeg: { mimetype: 'image/jpeg', extension: '.jpg' },
+  png: { mimetype: 'image/png', extension: '.png' },
+  webp: { mimetype: 'image/webp', extension: '.webp' }
+};
+
+// Markup that has no business inside an image. Long enough that random
+// compressed pixel data won't hit them by chance.
+const EMBEDDED_MARKUP = [/<script/i, /<\?php/i, /<html/i, /<iframe/i, /javascript:/i, /%PDF-/];
+
+// Other formats tacked on after the image ends (polyglots). Only matched at
+// the very start of the trailing bytes, after any padding: short signatures
+// turn up by chance inside legitimate trailers such as the MP4 that motion
+// photos append. The trailer is cut off and never stored either way.
+const TRAILING_SIGNATURES = [/^PK\x03\x04/, /^%PDF-/, /^\x7fELF/, /^MZ/, /^<svg/i, /^<\?xml/i, /^<!doctype/i, /^Rar!/, /^7z\xBC\xAF/];
+
+class ImageSniffError extends Error {}
+
+function fail(message) {
+  throw new ImageSniffError(message);
+}
+
+function ensure(buffer, offset, length) {
+  if (offset + length > buffer.length) fail('Image file is truncated');
+}
+
+const SOF_MARKERS = new Set([0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF]);
+
+function parseJpeg(buffer) {
+  let offset = 2;
+  let width = 0;
+  let height = 0;
+
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xFF) fail('Invalid JPEG structure');
+    while (buffer[offset] === 0xFF) offset++;
+    ensure(buffer, offset, 1);
+    const marker = buffer[offset++];
+
+    if (marker === 0xD9) {
+      return { width, height, end: offset };
+    }
+    // Standalone markers carry no length
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) continue;
+
+    ensure(buffer, offset, 2);
+    const length = buffer.readUInt16BE(offset);
+    if (length < 2) fail('Invalid JPEG segment');
+    ensure(buffer, offset, length);
+
+    if (SOF_MARKERS.has(marker)) {
+      ensure(buffer, offset, 7);
+      height = buffer.readUInt16BE(offset + 3);
+      width = buffer.readUInt16BE(offset + 5);
+    }
+
+    offset += length;
+
+    // Entropy-coded data follows a scan header; skip to the next real marker
+    if (marker === 0xDA) {
+      while (offset < buffer.length - 1) {
+        if (buffer[offset] === 0xFF) {
+          const next = buffer[offset + 1];
+          if (next !== 0x00 && !(next >= 0xD0 && next <= 0xD7)) break;
+        }
+        offset++;
+      }
+    }
+  }
+
+  fail('JPEG has no end marker');
+}
+
+function parsePng(buffer) {
+  let offset = 8;
+  let width = 0;
+  let height = 0;
+  let first = true;
+
+  while (offset < buffer.length) {
+    ensure(buffer, offset, 8);
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    ensure(buffer, offset + 8, length + 4);
+
+    if (first) {
+      if (type !== 'IHDR' || length !== 13) fail('PNG must start with an IHDR chunk');
+      width = buffer.readUInt32BE(offset + 8);
+      height = buffer.readUInt32BE(offset + 12);
+      first = false;
+    }
+
+    offset += 12 + length;
+    if (type === 'IEND') {
+      return { width, height, end: offset };
+    }
+  }
+
+  fail('PNG has no IEND chunk');
+}
+
+function parseWebp(buffer) {
+  ensure(buffer, 0, 30);
+  const riffSize = buffer.readUInt32LE(4);
+  const end = 8 + riffSize + (riffSize % 2);
+  if (riffSize < 4 || end > buffer.length) fail('WebP file is truncated');
+
+  const chunk = buffer.toString('latin1', 12, 16);
+  let width;
+  let height;
+
+  if (chunk === 'VP8 ') {
+    if (buffer[23] !== 0x9D || buffer[24] !== 0x01 || buffer[25] !== 0x2A) fail('Invalid WebP (VP8) frame');
+    width = buffer.readUInt16LE(26) & 0x3FFF;
+    height = buffer.readUInt16LE(28) & 0x3FFF;
+  } else if (chunk === 'VP8L') {
+    if (buffer[20] !== 0x2F) fail('Invalid WebP (VP8L) header');
+    const bits = buffer.readUInt32LE(21);
+    width = (bits & 0x3FFF) + 1;
+    height = ((bits >> 14) & 0x3FFF) + 1;
+  } else if (chunk === 'VP8X') {
+    width = buffer.readUIntLE(24, 3) + 1;
+    height = buffer.readUIntLE(27, 3) + 1;
+  } else {
+    fail('Unsupported WebP variant');
+  }
+
+  return { width, height, end };
+}
+
+function detectFormat(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpeg';
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504E47 && buffer.readUInt32BE(4) === 0x0D0A1A0A) return 'png';
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  return null;
+}
+
+const PARSERS = { jpeg: parseJpeg, png: parsePng, webp: parseWebp };
+
+// Returns { format, mimetype, extension, width, height, buffer } where
+// buffer is the input trimmed to the end of the image (harmless trailing
+// bytes, e.g. camera padding, are dropped). Throws ImageSniffError.
+function sniffImage(buffer) {
+  const format = detectFormat(buffer);
+  if (!format) fail('File is not a JPEG, PNG or WebP image');
+
+  const { width, height, end } = PARSERS[format](buffer);
+
+  if (!width || !height) fail('Could not read image dimensions');
+  if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    fail(`Image is too large. Maximum is ${MAX_DIMENSION}x${MAX_DIMENSION} pixels.`);
+  }
+  if (width * height > MAX_PIXELS) fail('Image has too many pixels');
+  if (width * height > BOMB_CHECK_MIN_PIXELS && (width * height) / buffer.length > MAX_PIXELS_PER_BYTE) {
+    fail('Image looks like a decompression bomb');
+  }
+
+  const latin1 = buffer.toString('latin1');
+  if (EMBEDDED_MARKUP.some(sig => sig.test(latin1))) {
+    fail('Image contains embedded non-image content');
+  }
+
+  const trailing = buffer.toString('latin1', end).replace(/^[\x00\xFF\s]+/, '');
+  if (TRAILING_SIGNATURES.some(sig => sig.test(trailing))) {
+    fail('Image has another file appended to it');
+  }
+
+  return {
+    format,
+    ...FORMATS[format],
+    width,
+    height,
+    buffer: end < buffer.length ? buffer.subarray(0, end) : buffer
+  };
+}
+
+module.exports = {
+  FORMATS,
+  ImageSniffError,
+  sniffImage
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pluggable mail transport. Pick one with MAIL_TRANSPORT:
+//   console (default outside production) - logs the message, for local dev
+//   file              - writes each message as JSON into MAIL_OUTBOX_DIR, for tests
+//   resend            - sends through the Resend HTTP API (RESEND_API_KEY)
+// Anything else can be plugged in with registerTransport()/setTransport().
+
+const MAIL_FROM = process.env.MAIL_FROM || 'ScentedSoleMates <no-reply@scentedsolemates.com>';
+
+// Falling back to console in production would log verification and reset
+// links instead of sending them, so refuse to start
+if (process.env.NODE_ENV === 'production' && !process.env.MAIL_TRANSPORT) {
+  throw new Error('MAIL_TRANSPORT must be set when NODE_ENV=production');
+}
+
+const transports = {
+  console: async (message) => {
+    console.log('[MAIL] To:', message.to, '| Subject:', message.subject);
+    console.log('[MAIL]', message.text);
+  },
+
+  file: async (message) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    await fs.promises.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).substring(2, 9)}.json`;
+    await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+  },
+
+  resend: async (message) => {
+    if (!process.env.RESEND_API_KEY) {
+      throw new Error('RESEND_API_KEY is not set');
+    }
+
+    const response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${process.env.RESEND_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(message)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Mail provider responded ${response.status}`);
+    }
+  }
+};
+
+let activeTransport = null;
+
+function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+function setTransport(nameOrFn) {
+  activeTransport = typeof nameOrFn === 'function' ? nameOrFn : transports[nameOrFn];
+  if (!activeTransport) {
+    throw new Error(`Unknown mail transport: ${nameOrFn}`);
+  }
+}
+
+function getTransport() {
+  if (!activeTransport) {
+    setTransport(process.env.MAIL_TRANSPORT || 'console');
+  }
+  return activeTransport;
+}
+
+async function sendMail({ to, subject, text, html }) {
+  const message = { from: MAIL_FROM, to, subject, text };
+  if (html) message.html = html;
+  await getTransport()(message);
+}
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  setTransport
+};
@@ -0,0 +1,65 @@
+// Match membership check shared by the message routes and the realtime
+// socket. Resolves to { match } or to { status, error } for the caller to send.
+async function loadMatchForUser(matchId, userId, supabase) {
+  const { data: match, error } = await supabase
+    .from('matches')
+    .select('id, user1_id, user2_id')
+    .eq('id', matchId)
+    .maybeSingle();
+
+  if (error || !match) {
+    return { status: 404, error: 'Match not found' };
+  }
+
+  if (match.user1_id !== userId && match.user2_id !== userId) {
+    return { status: 403, error: 'Not your match' };
+  }
+
+  return { match };
+}
+
+function getPartnerId(match, userId) {
+  return match.user1_id === userId ? match.user2_id : match.user1_id;
+}
+
+// True if either user has blocked the other
+async function hasBlockBetween(userA, userB, supabase) {
+  const { data, error } = await supabase
+    .from('blocks')
+    .select('blocker_id')
+    .or(`and(blocker_id.eq.${userA},blocked_id.eq.${userB}),and(blocker_id.eq.${userB},blocked_id.eq.${userA})`)
+    .limit(1);
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+// Everyone userId has blocked or been blocked by
+async function blockedUserIds(userId, supabase) {
+  const { data, error } = await supabase
+    .from('blocks')
+    .select('blocker_id, blocked_id')
+    .or(`blocker_id.eq.${userId},blocked_id.eq.${userId}`);
+
+  if (error) throw error;
+  return new Set((data || []).map(b => (b.blocker_id === userId ? b.blocked_id : b.blocker_id)));
+}
+
+async function findMatchBetween(userA, userB, supabase) {
+  const { data, error } = await supabase
+    .from('matches')
+    .select('id, user1_id, user2_id')
+    .or(`and(user1_id.eq.${userA},user2_id.eq.${userB}),and(user1_id.eq.${userB},user2_id.eq.${userA})`)
+    .limit(1);
+
+  if (error) throw error;
+  return (data || [])[0] || null;
+}
+
+module.exports = {
+  loadMatchForUser,
+  getPartnerId,
+  hasBlockBetween,
+  blockedUserIds,
+  findMatchBetween
+};
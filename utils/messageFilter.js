@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const { enqueueModeration } = require('./moderation');
+
+// Chat safety filter. Runs before a message is stored and returns the
+// strictest action among the rules that matched:
+//   allow  - store and deliver
+//   warn   - store and deliver, tell the sender why it's risky
+//   hold   - store but don't deliver until a moderator releases it
+//   reject - don't store
+// Rules live in config/messageFilterRules.json; point
+// MESSAGE_FILTER_RULES_FILE at another file to override them.
+
+const ACTION_SEVERITY = { allow: 0, warn: 1, hold: 2, reject: 3 };
+const RULE_TYPES = ['regex', 'words', 'digits'];
+
+// Holds/rejects within the window before a user is flagged for review
+const FLAG_THRESHOLD = parseInt(process.env.MESSAGE_FILTER_FLAG_THRESHOLD) || 3;
+const FLAG_WINDOW_HOURS = parseInt(process.env.MESSAGE_FILTER_FLAG_WINDOW_HOURS) || 24;
+
+const DIGIT_WORDS = {
+  zero: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+};
+
+const LEET = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's' };
+
+function loadRules(file) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  return raw.rules.map(rule => {
+    if (!RULE_TYPES.includes(rule.type)) {
+      throw new Error(`Message filter rule ${rule.id}: unknown type ${rule.type}`);
+    }
+    if (ACTION_SEVERITY[rule.action] === undefined) {
+      throw new Error(`Message filter rule ${rule.id}: unknown action ${rule.action}`);
+    }
+
+    const compiled = { ...rule };
+    if (rule.type === 'regex') {
+      compiled.regex = new RegExp(rule.pattern, 'i');
+    } else if (rule.type === 'words') {
+      const escaped = rule.words.map(w => w.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      compiled.regex = new RegExp(`\\b(${escaped.join('|')})\\b`, 'i');
+    } else {
+      compiled.regex = new RegExp(`\\d{${rule.minDigits || 7},}`);
+    }
+    return compiled;
+  });
+}
+
+const RULES = loadRules(
+  process.env.MESSAGE_FILTER_RULES_FILE || path.join(__dirname, '..', 'config', 'messageFilterRules.json')
+);
+
+// "Four one six - 555 12 34" -> "4165551234"
+function normalizeDigits(text) {
+  return text
+    .toLowerCase()
+    .replace(/\b(zero|one|two|three|four|five|six|seven|eight|nine)\b/g, w => DIGIT_WORDS[w])
+    .replace(/\bo(?=[\s\-.]*\d)/g, '0')
+    .replace(/(\d)[\s\-.()_\/\\|*,+]+(?=\d)/g, '$1');
+}
+
+// "c4$h 4pp" -> "cash app", so word lists catch simple obfuscation
+function normalizeWords(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[013457@$]/g, c => LEET[c])
+    .replace(/\s+/g, ' ');
+}
+
+// Returns { action, matches: [{ id, action, message }], warnings: [message] }
+function scanMessage(content) {
+  const text = String(content || '');
+  if (!text) return { action: 'allow', matches: [], warnings: [] };
+
+  const forms = {
+    raw: text.toLowerCase(),
+    words: normalizeWords(text),
+    digits: normalizeDigits(text)
+  };
+
+  const matches = RULES
+    .filter(rule => {
+      if (rule.type === 'digits') return rule.regex.test(forms.digits);
+      return rule.regex.test(forms.raw) || rule.regex.test(forms.words);
+    })
+    .map(rule => ({ id: rule.id, action: rule.action, message: rule.message }));
+
+  const action = matches.reduce(
+    (worst, m) => (ACTION_SEVERITY[m.action] > ACTION_SEVERITY[worst] ? m.action : worst),
+    'allow'
+  );
+
+  return {
+    action,
+    matches,
+    warnings: matches.filter(m => m.action === 'warn' && m.message).map(m => m.message)
+  };
+}
+
+// Record a hold/reject and flag the sender once they cross the threshold
+async function recordFilterHit(userId, matchId, messageId, result, supabase) {
+  const { error } = await supabase
+    .from('message_filter_events')
+    .insert({
+      user_id: userId,
+      match_id: matchId,
+      message_id: messageId || null,
+      action: result.action,
+      rule_ids: result.matches.map(m => m.id)
+    });
+
+  if (error) {
+    console.error('Message filter event error:', error);
+    return;
+  }
+
+  const since = new Date(Date.now() - FLAG_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+  const { count } = await supabase
+    .from('message_filter_events')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .in('action', ['hold', 'reject'])
+    .gte('created_at', since);
+
+  if (count >= FLAG_THRESHOLD) {
+    await enqueueModeration(userId, 'message_filter', {
+      recent_hits: count,
+      window_hours: FLAG_WINDOW_HOURS,
+      last_rules: result.matches.map(m => m.id)
+    }, supabase);
+  }
+}
+
+module.exports = {
+  scanMessage,
+  recordFilterHit
+};
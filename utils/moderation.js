@@ -0,0 +1,101 @@
+// Moderation queue and admin audit helpers. Anything that wants a human to
+// look at a user (auto-suspension, flagged content, ...) goes through
+// enqueueModeration or addModerationItem so moderators work from a single
+// queue.
+
+// Add a queue item, or refresh the details of the pending one if this
+// user already has one from the same source. Returns the item id.
+async function enqueueModeration(userId, source, details, supabase) {
+  const { data: existing, error: fetchError } = await supabase
+    .from('moderation_queue')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('source', source)
+    .eq('status', 'pending')
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+
+  if (existing) {
+    const { error } = await supabase
+      .from('moderation_queue')
+      .update({ details })
+      .eq('id', existing.id);
+
+    if (error) throw error;
+    return existing.id;
+  }
+
+  const { data, error } = await supabase
+    .from('moderation_queue')
+    .insert({ user_id: userId, source, details })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+  return data.id;
+}
+
+// Always a new queue item, for sources where each event is its own piece
+// of evidence and must not replace an earlier one. Returns the item id.
+async function addModerationItem(userId, source, details, supabase) {
+  const { data, error } = await supabase
+    .from('moderation_queue')
+    .insert({ user_id: userId, source, details })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+  return data.id;
+}
+
+// Close only the pending item from one source, leaving the rest of the
+// user's queue alone
+async function resolveModerationSource(userId, source, resolution, adminId, supabase) {
+  const { error } = await supabase
+    .from('moderation_queue')
+    .update({
+      status: 'resolved',
+      resolution,
+      resolved_by: adminId,
+      resolved_at: new Date().toISOString()
+    })
+    .eq('user_id', userId)
+    .eq('source', source)
+    .eq('status', 'pending');
+
+  if (error) throw error;
+}
+
+// Queue sources raised by user reports. Suspending, unsuspending or
+// dismissing reports settles these and nothing else: flagged photos,
+// selfies and held messages still need their own review.
+const REPORT_SOURCES = ['auto_suspension', 'report_score'];
+
+async function resolveReportModeration(userId, resolution, adminId, supabase) {
+  for (const source of REPORT_SOURCES) {
+    await resolveModerationSource(userId, source, resolution, adminId, supabase);
+  }
+}
+
+// Append to the admin audit trail
+async function logAdminAction(adminId, action, targetUserId, details, supabase) {
+  const { error } = await supabase
+    .from('admin_audit_log')
+    .insert({
+      admin_id: adminId,
+      action,
+      target_user_id: targetUserId || null,
+      details: details || {}
+    });
+
+  if (error) throw error;
+}
+
+module.exports = {
+  enqueueModeration,
+  addModerationItem,
+  resolveModerationSource,
+  resolveReportModeration,
+  logAdminAction
+};
@@ -0,0 +1,58 @@
+// Opaque keyset cursors over (created_at, id). Clients get them from one
+// response and pass them back unchanged.
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Timestamps exactly as Postgres returns them. Cursor values end up inside
+// PostgREST filter strings, so nothing looser (Date.parse accepts free-text
+// comments, quotes and commas included) may get through.
+const TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}:\d{2})$/;
+
+function encodeCursor(row) {
+  return Buffer.from(`${row.created_at}|${row.id}`).toString('base64url');
+}
+
+function validPosition(createdAt, id) {
+  return !!createdAt && !!id && UUID_RE.test(id) && TIMESTAMP_RE.test(createdAt) && !isNaN(Date.parse(createdAt));
+}
+
+// Returns { createdAt, id } or null if the cursor is malformed
+function decodeCursor(cursor) {
+  if (typeof cursor !== 'string' || cursor.length > 200) return null;
+
+  const [createdAt, id] = Buffer.from(cursor, 'base64url').toString().split('|');
+  if (!validPosition(createdAt, id)) {
+    return null;
+  }
+  return { createdAt, id };
+}
+
+// Ranked feeds page over a snapshot (a deck) instead of a live sort, so
+// their cursor is just the deck and the last position handed out
+function encodeDeckCursor(deckId, position) {
+  return Buffer.from(`${deckId}|${position}`).toString('base64url');
+}
+
+// Returns { deckId, position } or null if the cursor is malformed
+function decodeDeckCursor(cursor) {
+  if (typeof cursor !== 'string' || cursor.length > 100) return null;
+
+  const [deckId, position] = Buffer.from(cursor, 'base64url').toString().split('|');
+  if (!deckId || !UUID_RE.test(deckId) || !/^\d{1,9}$/.test(position || '')) {
+    return null;
+  }
+  return { deckId, position: Number(position) };
+}
+
+function parseLimit(value, fallback, max) {
+  const limit = parseInt(value);
+  if (!Number.isFinite(limit) || limit < 1) return fallback;
+  return Math.min(limit, max);
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  encodeDeckCursor,
+  decodeDeckCursor,
+  parseLimit
+};
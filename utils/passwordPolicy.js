@@ -0,0 +1,20 @@
+// Shared password rules for register, reset and change-password.
+// Returns an error message for the first rule that fails, or null.
+const PASSWORD_RULES = [
+  { test: (p) => p.length >= 10, message: 'Password must be at least 10 characters' },
+  { test: (p) => /[A-Z]/.test(p), message: 'Password must contain at least 1 uppercase letter' },
+  { test: (p) => /[a-z]/.test(p), message: 'Password must contain at least 1 lowercase letter' },
+  { test: (p) => /[0-9]/.test(p), message: 'Password must contain at least 1 number' },
+  { test: (p) => /[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(p), message: 'Password must contain at least 1 special character' }
+];
+
+function validatePassword(password) {
+  if (typeof password !== 'string') {
+    return 'Password required';
+  }
+
+  const failed = PASSWORD_RULES.find(rule => !rule.test(password));
+  return failed ? failed.message : null;
+}
+
+module.exports = { validatePassword };
@@ -0,0 +1,80 @@
+const bcrypt = require('bcryptjs');
+const { generateToken, hashToken } = require('./tokens');
+const { sendMail } = require('./mailer');
+const { revokeAllSessions } = require('./sessions');
+
+const RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+async function sendPasswordResetEmail(user, supabase) {
+  const now = new Date().toISOString();
+
+  // Only the newest reset link should work
+  await supabase
+    .from('password_reset_tokens')
+    .update({ used_at: now })
+    .eq('user_id', user.id)
+    .is('used_at', null);
+
+  const { token, tokenHash } = generateToken();
+  const expiresAt = new Date(Date.now() + RESET_TTL_MINUTES * 60 * 1000);
+
+  const { error } = await supabase
+    .from('password_reset_tokens')
+    .insert({
+      user_id: user.id,
+      token_hash: tokenHash,
+      expires_at: expiresAt.toISOString()
+    });
+
+  if (error) throw error;
+
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your ScentedSoleMates password',
+    text: `Hi ${user.username},\n\nReset your password here:\n${link}\n\n` +
+      `This link expires in ${RESET_TTL_MINUTES} minutes. If you didn't ask for this, ignore this email - your password won't change.`
+  });
+}
+
+// Consume a reset token. Returns the user id, or null if the token is
+// unknown, expired or already used.
+async function consumePasswordResetToken(token, supabase) {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('password_reset_tokens')
+    .update({ used_at: now })
+    .eq('token_hash', hashToken(token))
+    .is('used_at', null)
+    .gt('expires_at', now)
+    .select('user_id')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? data.user_id : null;
+}
+
+// Store the new hash and revoke every session issued before this point
+async function setPassword(userId, password, supabase) {
+  const password_hash = await bcrypt.hash(password, 10);
+
+  const { error } = await supabase
+    .from('users')
+    .update({
+      password_hash,
+      password_changed_at: new Date().toISOString()
+    })
+    .eq('id', userId);
+
+  if (error) throw error;
+
+  await revokeAllSessions(userId, 'password_changed', supabase);
+}
+
+module.exports = {
+  sendPasswordResetEmail,
+  consumePasswordResetToken,
+  setPassword
+};
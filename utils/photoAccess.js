@@ -0,0 +1,40 @@
+const { hasBlockBetween, findMatchBetween } = require('./matches');
+const { isDiscoverableTo } = require('./discovery');
+
+// Decide whether viewerId may see ownerId's photos, based on how they are
+// related. Resolves to one of:
+//   self         - their own photos
+//   matched      - the two are matched
+//   discoverable - the owner could be shown to the viewer in discovery,
+//                  preferences and distance limits included
+//   blocked      - either has blocked the other; overrides everything
+//   none         - no relationship, no access
+async function photoRelationship(viewerId, ownerId, supabase) {
+  if (viewerId === ownerId) return 'self';
+
+  if (await hasBlockBetween(viewerId, ownerId, supabase)) return 'blocked';
+
+  const { data: users, error } = await supabase
+    .from('users')
+    .select('id, region, deleted_at')
+    .in('id', [viewerId, ownerId]);
+
+  if (error) throw error;
+
+  const viewer = (users || []).find(u => u.id === viewerId);
+  const owner = (users || []).find(u => u.id === ownerId);
+  if (!viewer || !owner || owner.deleted_at) return 'none';
+
+  if (await findMatchBetween(viewerId, ownerId, supabase)) return 'matched';
+
+  return await isDiscoverableTo(viewerId, ownerId, viewer.region, supabase) ? 'discoverable' : 'none';
+}
+
+function canViewPhotos(relationship) {
+  return ['self', 'matched', 'discoverable'].includes(relationship);
+}
+
+module.exports = {
+  photoRelationship,
+  canViewPhotos
+};
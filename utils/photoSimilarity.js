@@ -0,0 +1,133 @@
+const sharp = require('sharp');
+const { addModerationItem } = require('./moderation');
+
+// Perceptual near-duplicate detection. The SHA-256 photo_hash only catches
+// byte-identical files; re-encoding, a small crop or stripping EXIF changes
+// every byte. A difference hash (dHash) survives those, so a stolen photo
+// still lands within a few bits of the original.
+//
+// Hamming distance between two 64-bit dHashes:
+//   <= PHOTO_DHASH_BLOCK_DISTANCE  upload refused
+//   <= PHOTO_DHASH_FLAG_DISTANCE   upload allowed, queued for moderation
+// 0 is a real setting (exact matches only), so it must not fall back
+function envDistance(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const BLOCK_DISTANCE = envDistance('PHOTO_DHASH_BLOCK_DISTANCE', 4);
+const FLAG_DISTANCE = Math.max(BLOCK_DISTANCE, envDistance('PHOTO_DHASH_FLAG_DISTANCE', 10));
+
+// 9x8 grayscale, each bit says whether a pixel is brighter than its right
+// neighbour. Returned as 16 hex chars.
+async function computeDHash(buffer) {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+// Closest photo owned by someone other than userId, within FLAG_DISTANCE.
+// Returns { photo, distance, action: 'block' | 'flag' } or null.
+async function findSimilarPhoto(dhash, userId, supabase) {
+  // Flat images (solid colours, blank screenshots) all hash the same
+  if (/^(0{16}|f{16})$/.test(dhash)) return null;
+
+  const { data, error } = await supabase.rpc('find_similar_photos', {
+    p_dhash: dhash,
+    p_max_distance: FLAG_DISTANCE,
+    p_exclude_user_id: userId
+  });
+
+  if (error) throw error;
+  if (!data || data.length === 0) return null;
+
+  const photo = data[0];
+  return {
+    photo,
+    distance: photo.distance,
+    action: photo.distance <= BLOCK_DISTANCE ? 'block' : 'flag'
+  };
+}
+
+// Queue the uploader for review with both images linked. upload describes
+// the new image: { photo_id } for profile photos, { message_id, media_path }
+// for chat, or just { dhash } when the upload was refused. Moderators open
+// photos through /api/admin/photos/:photoId. Every flagged upload gets its
+// own queue item so earlier pairs stay on record.
+async function flagSimilarPhoto(userId, match, upload, supabase) {
+  await addModerationItem(userId, 'photo_similarity', {
+    action: match.action,
+    distance: match.distance,
+    upload,
+    matched_photo: {
+      photo_id: match.photo.id,
+      user_id: match.photo.user_id
+    }
+  }, supabase);
+}
+
+// Fill in photo_dhash for photos uploaded before it existed. Returns how
+// many were hashed; photos that fail are logged and left for the next run.
+async function backfillPhotoDHashes(supabase) {
+  let hashed = 0;
+  let lastId = null;
+
+  for (;;) {
+    let query = supabase
+      .from('photos')
+      .select('id, storage_path')
+      .is('photo_dhash', null)
+      .not('storage_path', 'is', null)
+      .order('id', { ascending: true })
+      .limit(100);
+
+    if (lastId) query = query.gt('id', lastId);
+
+    const { data: photos, error } = await query;
+    if (error) throw error;
+    if (!photos || photos.length === 0) break;
+
+    for (const photo of photos) {
+      try {
+        const { data: file, error: downloadError } = await supabase.storage
+          .from('photos')
+          .download(photo.storage_path);
+
+        if (downloadError) throw downloadError;
+
+        const dhash = await computeDHash(Buffer.from(await file.arrayBuffer()));
+        const { error: updateError } = await supabase
+          .from('photos')
+          .update({ photo_dhash: dhash })
+          .eq('id', photo.id);
+
+        if (updateError) throw updateError;
+        hashed++;
+      } catch (err) {
+        console.error('[BACKFILL] Failed for photo', photo.id, err);
+      }
+    }
+
+    lastId = photos[photos.length - 1].id;
+  }
+
+  return hashed;
+}
+
+module.exports = {
+  computeDHash,
+  findSimilarPhoto,
+  flagSimilarPhoto,
+  backfillPhotoDHashes
+};
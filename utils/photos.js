@@ -0,0 +1,94 @@
+// Photos live in a private bucket. Nothing stores a URL: every response
+// signs the paths it needs, and signed URLs expire quickly, so a block or
+// unmatch cuts off access once they lapse. Callers decide who may see
+// which photos (see photoAccess.js) before signing.
+const PHOTOS_BUCKET = 'photos';
+const PHOTO_URL_TTL_SECONDS = parseInt(process.env.PHOTO_URL_TTL_SECONDS) || 600;
+
+// Embedded photos(*) come back in no particular order; everything that
+// shows photos goes through here so the user's chosen order is respected.
+function orderPhotos(photos) {
+  return (photos || []).slice().sort((a, b) => (a.display_order || 0) - (b.display_order || 0));
+}
+
+function primaryPhoto(photos) {
+  return orderPhotos(photos)[0] || null;
+}
+
+// Storage path of one variant (thumb, card, full, original). Unwatermarked
+// photos have no separate original, and photos uploaded before the image
+// pipeline only have storage_path.
+function photoPath(photo, size) {
+  if (!photo) return null;
+  return photo.variants?.[size]?.path || photo.storage_path || null;
+}
+
+// Sign the given variants of every photo in one storage call.
+// Returns a Map of storage path -> signed URL.
+async function signPhotos(photos, sizes, supabase) {
+  const paths = new Set();
+  (photos || []).forEach(photo => {
+    sizes.forEach(size => {
+      const path = photoPath(photo, size);
+      if (path) paths.add(path);
+    });
+  });
+
+  const signed = new Map();
+  if (paths.size === 0) return signed;
+
+  const { data, error } = await supabase.storage
+    .from(PHOTOS_BUCKET)
+    .createSignedUrls([...paths], PHOTO_URL_TTL_SECONDS);
+
+  if (error) {
+    console.error('Photo signing error:', error);
+  }
+  (data || []).forEach(d => {
+    if (d.signedUrl) signed.set(d.path, d.signedUrl);
+  });
+  return signed;
+}
+
+function photoUrl(photo, size, signed) {
+  return signed.get(photoPath(photo, size)) || null;
+}
+
+// Public shape of a photo: never exposes hashes, storage paths or EXIF
+function presentPhoto(photo, size, signed) {
+  return {
+    id: photo.id,
+    photo_type: photo.photo_type,
+    display_order: photo.display_order,
+    visibility: photo.visibility || 'public',
+    url: photoUrl(photo, size, signed),
+    full_url: photoUrl(photo, 'full', signed)
+  };
+}
+
+// Order, sign and present one user's photos
+async function presentPhotos(photos, size, supabase) {
+  const ordered = orderPhotos(photos);
+  const signed = await signPhotos(ordered, [size, 'full'], supabase);
+  return ordered.map(photo => presentPhoto(photo, size, signed));
+}
+
+// Every storage object behind a photo row
+function photoStoragePaths(photo) {
+  const paths = Object.values(photo.variants || {}).map(v => v.path);
+  if (photo.storage_path) paths.push(photo.storage_path);
+  return [...new Set(paths.filter(Boolean))];
+}
+
+module.exports = {
+  PHOTOS_BUCKET,
+  PHOTO_URL_TTL_SECONDS,
+  orderPhotos,
+  primaryPhoto,
+  photoPath,
+  signPhotos,
+  photoUrl,
+  presentPhoto,
+  presentPhotos,
+  photoStoragePaths
+};
@@ -0,0 +1,43 @@
+const { EventEmitter } = require('events');
+
+// Pub/sub adapter used by the realtime hub. An adapter implements:
+//   publish(channel, payload)      -> Promise
+//   subscribe(channel, handler)    -> Promise<unsubscribe function>
+// The in-memory adapter only reaches sockets on this node. To scale out,
+// plug in an adapter backed by Redis, Postgres LISTEN/NOTIFY or similar
+// with setPubSubAdapter() before the server starts.
+
+class InMemoryPubSub {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  async publish(channel, payload) {
+    this.emitter.emit(channel, payload);
+  }
+
+  async subscribe(channel, handler) {
+    this.emitter.on(channel, handler);
+    return () => this.emitter.off(channel, handler);
+  }
+}
+
+let adapter = new InMemoryPubSub();
+
+function setPubSubAdapter(newAdapter) {
+  if (typeof newAdapter?.publish !== 'function' || typeof newAdapter?.subscribe !== 'function') {
+    throw new Error('Pub/sub adapter must implement publish() and subscribe()');
+  }
+  adapter = newAdapter;
+}
+
+function getPubSub() {
+  return adapter;
+}
+
+module.exports = {
+  InMemoryPubSub,
+  setPubSubAdapter,
+  getPubSub
+};
@@ -0,0 +1,227 @@
+const { WebSocketServer } = require('ws');
+const { verifyAccessToken } = require('../middleware/auth');
+const { loadMatchForUser, getPartnerId } = require('./matches');
+const { getPubSub } = require('./pubsub');
+
+// Realtime chat channel at /ws. Clients connect with the same access token
+// the REST API uses (?token=... or an Authorization header) and receive
+// JSON events: { type, data }.
+//
+// Server -> client: message:new, message:read, typing, match:new
+// Client -> server: typing { matchId, isTyping }, ping
+//
+// Events are published to a per-user channel through the pub/sub adapter,
+// so any node holding that user's sockets delivers them. Logout, session
+// revocation, suspension and deletion go out on the same channel as a
+// close event, so sockets drop at once instead of when their token expires.
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const TYPING_THROTTLE_MS = 1000;
+const MEMBERSHIP_CACHE_MS = 60 * 1000;
+
+// userId -> { sockets: Set<WebSocket>, ready: Promise, unsubscribe }
+const connections = new Map();
+
+const userChannel = (userId) => `user:${userId}`;
+
+// Internal to the server, never forwarded to clients
+const CLOSE_EVENT = 'connection:close';
+
+// Publish an event to every connected device of a user. Never throws:
+// realtime delivery is best-effort and must not fail the REST request.
+async function emitToUser(userId, type, data) {
+  try {
+    await getPubSub().publish(userChannel(userId), { type, data });
+  } catch (err) {
+    console.error('[REALTIME] Publish error:', err);
+  }
+}
+
+async function emitToUsers(userIds, type, data) {
+  await Promise.all([...new Set(userIds)].map(id => emitToUser(id, type, data)));
+}
+
+// Close a user's sockets on every node: those of one session, or all of
+// them when sessionId is null
+async function closeUserSockets(userId, { sessionId = null, code = 4001, reason = 'SESSION_REVOKED' } = {}) {
+  await emitToUser(userId, CLOSE_EVENT, { sessionId, code, reason });
+}
+
+function send(socket, type, data) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify({ type, data }));
+  }
+}
+
+// Rejects if the pub/sub subscription fails; sockets that connected while
+// it was pending share the same subscription and fail with it.
+async function addConnection(userId, socket) {
+  let entry = connections.get(userId);
+  if (!entry) {
+    entry = { sockets: new Set(), unsubscribe: null };
+    connections.set(userId, entry);
+    entry.ready = getPubSub().subscribe(userChannel(userId), (event) => {
+      if (event.type === CLOSE_EVENT) {
+        for (const s of entry.sockets) {
+          if (!event.data.sessionId || s.sessionId === event.data.sessionId) {
+            s.close(event.data.code, event.data.reason);
+          }
+        }
+        return;
+      }
+      for (const s of entry.sockets) send(s, event.type, event.data);
+    }).then(unsubscribe => {
+      entry.unsubscribe = unsubscribe;
+    }, err => {
+      if (connections.get(userId) === entry) connections.delete(userId);
+      throw err;
+    });
+  }
+  await entry.ready;
+  entry.sockets.add(socket);
+}
+
+function removeConnection(userId, socket) {
+  const entry = connections.get(userId);
+  if (!entry) return;
+
+  entry.sockets.delete(socket);
+  if (entry.sockets.size === 0) {
+    connections.delete(userId);
+    if (entry.unsubscribe) entry.unsubscribe();
+  }
+}
+
+function getToken(req) {
+  const url = new URL(req.url, 'http://localhost');
+  return url.searchParams.get('token') || req.headers.authorization?.split(' ')[1];
+}
+
+// Same membership rule as the message routes, cached briefly per socket
+// so typing indicators don't hit the database on every keystroke.
+async function getPartnerForMatch(socket, matchId, supabase) {
+  const cached = socket.matchCache.get(matchId);
+  if (cached && cached.expires > Date.now()) return cached.partnerId;
+
+  const { match } = await loadMatchForUser(matchId, socket.userId, supabase);
+  const partnerId = match ? getPartnerId(match, socket.userId) : null;
+  socket.matchCache.set(matchId, { partnerId, expires: Date.now() + MEMBERSHIP_CACHE_MS });
+  return partnerId;
+}
+
+async function handleClientEvent(socket, raw, supabase) {
+  let event;
+  try {
+    event = JSON.parse(raw);
+  } catch (err) {
+    return send(socket, 'error', { error: 'Invalid JSON' });
+  }
+
+  if (event.type === 'ping') {
+    return send(socket, 'pong', {});
+  }
+
+  if (event.type === 'typing') {
+    const { matchId, isTyping } = event.data || {};
+    if (!matchId) {
+      return send(socket, 'error', { error: 'Match ID required' });
+    }
+
+    const last = socket.lastTyping.get(matchId) || 0;
+    if (isTyping && Date.now() - last < TYPING_THROTTLE_MS) return;
+    socket.lastTyping.set(matchId, Date.now());
+
+    const partnerId = await getPartnerForMatch(socket, matchId, supabase);
+    if (!partnerId) {
+      return send(socket, 'error', { error: 'Not your match', matchId });
+    }
+
+    return emitToUser(partnerId, 'typing', { matchId, userId: socket.userId, isTyping: !!isTyping });
+  }
+
+  send(socket, 'error', { error: `Unknown event type: ${event.type}` });
+}
+
+function attachRealtime(server, supabase) {
+  const wss = new WebSocketServer({ server, path: '/ws', maxPayload: 16 * 1024 });
+
+  wss.on('connection', async (socket, req) => {
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+
+    const token = getToken(req);
+    if (!token) {
+      return socket.close(4001, 'No token provided');
+    }
+
+    let auth;
+    try {
+      auth = await verifyAccessToken(token, supabase);
+    } catch (err) {
+      console.error('[REALTIME] Auth error:', err);
+      return socket.close(1011, 'Server error');
+    }
+
+    if (auth.error) {
+      return socket.close(auth.status === 403 ? 4003 : 4001, auth.code || auth.error);
+    }
+
+    socket.userId = auth.userId;
+    socket.sessionId = auth.sessionId;
+    socket.matchCache = new Map();
+    socket.lastTyping = new Map();
+
+    // Access tokens are short-lived; make the client reconnect with a fresh one
+    const expiryTimer = setTimeout(
+      () => socket.close(4001, 'TOKEN_EXPIRED'),
+      Math.max(auth.expiresAt - Date.now(), 0)
+    );
+
+    try {
+      await addConnection(auth.userId, socket);
+    } catch (err) {
+      console.error('[REALTIME] Subscribe error:', err);
+      clearTimeout(expiryTimer);
+      return socket.close(1011, 'Server error');
+    }
+    if (socket.readyState !== socket.OPEN) {
+      clearTimeout(expiryTimer);
+      return removeConnection(auth.userId, socket);
+    }
+
+    socket.on('message', (raw) => {
+      handleClientEvent(socket, raw, supabase).catch(err => {
+        console.error('[REALTIME] Event error:', err);
+      });
+    });
+
+    socket.on('close', () => {
+      clearTimeout(expiryTimer);
+      removeConnection(auth.userId, socket);
+    });
+
+    send(socket, 'ready', { userId: auth.userId });
+  });
+
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}
+
+module.exports = {
+  attachRealtime,
+  emitToUser,
+  emitToUsers,
+  closeUserSockets
+};
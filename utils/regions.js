@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+
+// Service regions. Registration resolves whatever city the user types to a
+// region, and discovery only pairs users in the same region. Regions live in
+// config/regions.json; point REGIONS_FILE at another file to override them.
+// Launching a region is a config change: flip enabled to true.
+
+function normalizePlace(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function loadRegions(file) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const seen = new Map();
+
+  return raw.regions.map(region => {
+    if (!/^[a-z0-9_-]+$/.test(region.id)) {
+      throw new Error(`Region ${region.id}: id must be lowercase letters, digits, - or _`);
+    }
+
+    const places = [];
+    Object.entries(region.cities || {}).forEach(([city, aliases]) => {
+      [city, ...(aliases || [])].forEach(alias => {
+        const key = normalizePlace(alias);
+        if (!key) return;
+        if (seen.has(key) && seen.get(key) !== region.id) {
+          throw new Error(`Region ${region.id}: "${alias}" is already used by ${seen.get(key)}`);
+        }
+        seen.set(key, region.id);
+        places.push({ key, city });
+      });
+    });
+
+    return { id: region.id, name: region.name, enabled: !!region.enabled, places };
+  });
+}
+
+const REGIONS = loadRegions(
+  process.env.REGIONS_FILE || path.join(__dirname, '..', 'config', 'regions.json')
+);
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Short names must match exactly; longer ones may be off by a typo or two
+function allowedDistance(key) {
+  if (key.length <= 4) return 0;
+  if (key.length <= 8) return 1;
+  return 2;
+}
+
+// Resolve free text to { region, city } (city is the display name), or null.
+// Disabled regions resolve too so callers can say "not launched yet". A typo
+// that is equally close to places in two regions resolves to nothing.
+function resolveRegion(input) {
+  const key = normalizePlace(input);
+  if (!key) return null;
+
+  let best = null;
+  let ambiguous = false;
+
+  for (const region of REGIONS) {
+    for (const place of region.places) {
+      const distance = place.key === key ? 0 : levenshtein(place.key, key);
+      if (distance > allowedDistance(place.key)) continue;
+
+      if (!best || distance < best.distance) {
+        best = { region, city: place.city, distance };
+        ambiguous = false;
+      } else if (distance === best.distance && region.id !== best.region.id) {
+        ambiguous = true;
+      }
+    }
+  }
+
+  if (!best || ambiguous) return null;
+  return { region: best.region, city: best.city };
+}
+
+function getRegion(id) {
+  return REGIONS.find(region => region.id === id) || null;
+}
+
+function isRegionActive(id) {
+  return !!getRegion(id)?.enabled;
+}
+
+function activeRegions() {
+  return REGIONS.filter(region => region.enabled).map(({ id, name }) => ({ id, name }));
+}
+
+module.exports = {
+  normalizePlace,
+  resolveRegion,
+  getRegion,
+  isRegionActive,
+  activeRegions
+};
@@ -0,0 +1,176 @@
+// Weighted report scoring. Each report gets a weight from the reason's
+// severity, the reporter's relationship with the target, the reporter's
+// account age and how often their past reports were dismissed. A user's
+// score is the sum over distinct reporters with a pending report.
+//
+// Everything is tunable through environment variables.
+
+function envFloat(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function envJson(name, fallback) {
+  if (!process.env[name]) return fallback;
+  try {
+    return { ...fallback, ...JSON.parse(process.env[name]) };
+  } catch (err) {
+    console.error(`Invalid JSON in ${name}, using defaults`);
+    return fallback;
+  }
+}
+
+const REPORT_SCORING = {
+  // Score that puts the user in the moderation queue
+  reviewThreshold: envFloat('REPORT_REVIEW_THRESHOLD', 1.5),
+  // Score that also suspends the user until a moderator reviews it
+  suspendThreshold: envFloat('REPORT_SUSPEND_THRESHOLD', 3),
+
+  reasonWeights: envJson('REPORT_REASON_WEIGHTS', {
+    spam: 0.75,
+    fake: 1,
+    inappropriate: 1.25,
+    other: 0.5
+  }),
+
+  // Reporters who actually interacted with the target know more
+  matchedMultiplier: envFloat('REPORT_MATCHED_MULTIPLIER', 1.5),
+  messagedMultiplier: envFloat('REPORT_MESSAGED_MULTIPLIER', 1.75),
+
+  // Fresh accounts are cheap to create for brigading
+  newAccountDays: envFloat('REPORT_NEW_ACCOUNT_DAYS', 7),
+  newAccountMultiplier: envFloat('REPORT_NEW_ACCOUNT_MULTIPLIER', 0.5),
+
+  // Reporters whose reports keep getting dismissed count for less
+  minReviewedForReliability: envFloat('REPORT_MIN_REVIEWED', 3),
+  minReliabilityMultiplier: envFloat('REPORT_MIN_RELIABILITY', 0.2)
+};
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+async function getRelationship(reporterId, targetId, supabase) {
+  const { data: match } = await supabase
+    .from('matches')
+    .select('id')
+    .or(`and(user1_id.eq.${reporterId},user2_id.eq.${targetId}),and(user1_id.eq.${targetId},user2_id.eq.${reporterId})`)
+    .maybeSingle();
+
+  if (!match) return 'none';
+
+  // Only the reporter's own messages count: the target could otherwise
+  // raise their reporter's weight just by messaging them
+  const { count } = await supabase
+    .from('messages')
+    .select('id', { count: 'exact', head: true })
+    .eq('match_id', match.id)
+    .eq('sender_id', reporterId);
+
+  return count > 0 ? 'messaged' : 'matched';
+}
+
+async function getReporterReliability(reporterId, supabase) {
+  const { data: history } = await supabase
+    .from('reports')
+    .select('status')
+    .eq('reporter_id', reporterId)
+    .in('status', ['actioned', 'dismissed']);
+
+  const reviewed = history?.length || 0;
+  const dismissed = history?.filter(r => r.status === 'dismissed').length || 0;
+
+  if (reviewed < REPORT_SCORING.minReviewedForReliability) {
+    return { reviewed, dismissed, multiplier: 1 };
+  }
+
+  const multiplier = Math.max(REPORT_SCORING.minReliabilityMultiplier, 1 - dismissed / reviewed);
+  return { reviewed, dismissed, multiplier: round(multiplier) };
+}
+
+// Weight of a single new report, with the factors that produced it
+async function computeReportWeight(reporterId, targetId, reason, supabase) {
+  const severity = REPORT_SCORING.reasonWeights[reason] ?? 1;
+
+  const relationship = await getRelationship(reporterId, targetId, supabase);
+  const relationshipMultiplier = relationship === 'messaged'
+    ? REPORT_SCORING.messagedMultiplier
+    : relationship === 'matched' ? REPORT_SCORING.matchedMultiplier : 1;
+
+  const { data: reporter } = await supabase
+    .from('users')
+    .select('created_at')
+    .eq('id', reporterId)
+    .single();
+
+  const accountAgeDays = reporter?.created_at
+    ? (Date.now() - new Date(reporter.created_at).getTime()) / (24 * 60 * 60 * 1000)
+    : 0;
+  const accountAgeMultiplier = accountAgeDays < REPORT_SCORING.newAccountDays
+    ? REPORT_SCORING.newAccountMultiplier
+    : 1;
+
+  const reliability = await getReporterReliability(reporterId, supabase);
+
+  const weight = severity * relationshipMultiplier * accountAgeMultiplier * reliability.multiplier;
+
+  return {
+    weight: round(weight),
+    breakdown: {
+      reason,
+      severity,
+      relationship,
+      relationship_multiplier: relationshipMultiplier,
+      reporter_account_age_days: Math.floor(accountAgeDays),
+      account_age_multiplier: accountAgeMultiplier,
+      reporter_reviewed_reports: reliability.reviewed,
+      reporter_dismissed_reports: reliability.dismissed,
+      reliability_multiplier: reliability.multiplier
+    }
+  };
+}
+
+// Current score for a user: one weight per distinct reporter, pending reports only
+async function scoreReportedUser(targetId, supabase) {
+  const { data: reports, error } = await supabase
+    .from('reports')
+    .select('id, reporter_id, reason, weight, score_breakdown, created_at')
+    .eq('reported_id', targetId)
+    .eq('status', 'pending');
+
+  if (error) throw error;
+
+  // Reports filed before scoring existed have no weight; count them at
+  // their reason's base severity
+  const weightOf = (report) => (report.weight === null || report.weight === undefined
+    ? REPORT_SCORING.reasonWeights[report.reason] ?? 1
+    : Number(report.weight));
+
+  const byReporter = new Map();
+  for (const report of reports || []) {
+    if (report.reporter_id === targetId) continue;
+    const current = byReporter.get(report.reporter_id);
+    if (!current || weightOf(report) > weightOf(current)) {
+      byReporter.set(report.reporter_id, report);
+    }
+  }
+
+  const reporters = [...byReporter.values()].map(r => ({
+    report_id: r.id,
+    reporter_id: r.reporter_id,
+    weight: weightOf(r),
+    factors: r.score_breakdown
+  }));
+
+  return {
+    score: round(reporters.reduce((sum, r) => sum + r.weight, 0)),
+    distinct_reporters: reporters.length,
+    review_threshold: REPORT_SCORING.reviewThreshold,
+    suspend_threshold: REPORT_SCORING.suspendThreshold,
+    reporters
+  };
+}
+
+module.exports = {
+  REPORT_SCORING,
+  computeReportWeight,
+  scoreReportedUser
+};
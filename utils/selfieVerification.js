@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const { enqueueModeration } = require('./moderation');
+const { removeStorageFolder } = require('./storage');
+const { PHOTOS_BUCKET } = require('./photos');
+
+// Selfie verification. The server picks a random pose, the user has a few
+// minutes to photograph themselves doing it, and a moderator compares the
+// selfie with their profile photos. Selfies live in their own private
+// bucket and are only ever shown to moderators.
+const VERIFICATION_BUCKET = 'verification';
+const PROMPT_TTL_MINUTES = parseInt(process.env.VERIFICATION_PROMPT_TTL_MINUTES) || 10;
+const SELFIE_URL_TTL_SECONDS = 300;
+
+const POSES = [
+  'Hold up three fingers next to your face',
+  'Give a thumbs up with your left hand',
+  'Touch your right ear with your left hand',
+  'Make a peace sign under your chin',
+  'Cover one eye with your right hand',
+  'Point at the ceiling with your left hand',
+  'Rest your chin on your fist',
+  'Hold up two fingers on each hand'
+];
+
+async function findOpenRequest(userId, supabase) {
+  const { data, error } = await supabase
+    .from('verification_requests')
+    .select('id, prompt, status, prompt_expires_at, submitted_at, created_at')
+    .eq('user_id', userId)
+    .in('status', ['prompted', 'pending'])
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Issue a fresh pose prompt. An unused earlier prompt is replaced; a selfie
+// already under review blocks a new one. Resolves to { request } or
+// { status, error, code }.
+async function issuePrompt(userId, supabase) {
+  const open = await findOpenRequest(userId, supabase);
+  if (open && open.status === 'pending') {
+    return { status: 409, error: 'Your verification selfie is already being reviewed', code: 'VERIFICATION_PENDING' };
+  }
+
+  if (open) {
+    await supabase
+      .from('verification_requests')
+      .update({ status: 'expired' })
+      .eq('id', open.id)
+      .eq('status', 'prompted');
+  }
+
+  const prompt = POSES[crypto.randomInt(POSES.length)];
+  const expiresAt = new Date(Date.now() + PROMPT_TTL_MINUTES * 60 * 1000);
+
+  const { data: request, error } = await supabase
+    .from('verification_requests')
+    .insert({ user_id: userId, prompt, prompt_expires_at: expiresAt.toISOString() })
+    .select('id, prompt, status, prompt_expires_at')
+    .single();
+
+  if (error) throw error;
+  return { request };
+}
+
+// Attach the selfie to a live prompt and put it in front of moderators.
+// buffer must already be sanitized. Resolves to { request } or { status, error, code }.
+async function submitSelfie(userId, requestId, buffer, imageInfo, exif, supabase) {
+  const randomSuffix = Math.random().toString(36).substring(2, 9);
+  const path = `${userId}/${Date.now()}-${randomSuffix}${imageInfo.extension}`;
+
+  const { error: uploadError } = await supabase.storage
+    .from(VERIFICATION_BUCKET)
+    .upload(path, buffer, { contentType: imageInfo.mimetype, upsert: false });
+
+  if (uploadError) throw uploadError;
+
+  // Only a prompt that is still open and unexpired can take a selfie
+  const { data: request, error } = await supabase
+    .from('verification_requests')
+    .update({
+      status: 'pending',
+      selfie_path: path,
+      exif,
+      submitted_at: new Date().toISOString()
+    })
+    .eq('id', requestId)
+    .eq('user_id', userId)
+    .eq('status', 'prompted')
+    .gt('prompt_expires_at', new Date().toISOString())
+    .select('id, prompt, status, submitted_at')
+    .maybeSingle();
+
+  if (error || !request) {
+    await supabase.storage.from(VERIFICATION_BUCKET).remove([path]);
+    if (error) throw error;
+    return { status: 400, error: 'This pose prompt has expired. Please request a new one.', code: 'PROMPT_EXPIRED' };
+  }
+
+  await enqueueModeration(userId, 'selfie_verification', {
+    request_id: request.id,
+    prompt: request.prompt
+  }, supabase);
+
+  return { request };
+}
+
+// Short-lived links for moderators
+async function signSelfies(requests, supabase) {
+  const paths = requests.map(r => r.selfie_path).filter(Boolean);
+  const urlByPath = new Map();
+
+  if (paths.length > 0) {
+    const { data, error } = await supabase.storage
+      .from(VERIFICATION_BUCKET)
+      .createSignedUrls(paths, SELFIE_URL_TTL_SECONDS);
+
+    if (error) {
+      console.error('Selfie signing error:', error);
+    }
+    (data || []).forEach(d => {
+      if (d.signedUrl) urlByPath.set(d.path, d.signedUrl);
+    });
+  }
+
+  return requests.map(({ selfie_path, ...rest }) => ({ ...rest, selfie_url: urlByPath.get(selfie_path) || null }));
+}
+
+async function removeUserSelfies(userId, supabase) {
+  await removeStorageFolder(VERIFICATION_BUCKET, userId, supabase);
+}
+
+// Files of verification photos uploaded as profile photos before this flow
+// existed (see migrations/017). Deletes them in batches and returns how
+// many were removed; anything that fails stays queued for the next run.
+async function purgeLegacyVerificationFiles(supabase) {
+  let removed = 0;
+
+  for (;;) {
+    const { data: files, error } = await supabase
+      .from('legacy_verification_files')
+      .select('path')
+      .order('path', { ascending: true })
+      .limit(100);
+
+    if (error) throw error;
+    if (!files || files.length === 0) break;
+
+    const paths = files.map(f => f.path);
+    const { error: removeError } = await supabase.storage.from(PHOTOS_BUCKET).remove(paths);
+    if (removeError) throw removeError;
+
+    const { error: deleteError } = await supabase
+      .from('legacy_verification_files')
+      .delete()
+      .in('path', paths);
+
+    if (deleteError) throw deleteError;
+    removed += paths.length;
+  }
+
+  return removed;
+}
+
+module.exports = {
+  VERIFICATION_BUCKET,
+  PROMPT_TTL_MINUTES,
+  findOpenRequest,
+  issuePrompt,
+  submitSelfie,
+  signSelfies,
+  removeUserSelfies,
+  purgeLegacyVerificationFiles
+};
@@ -0,0 +1,148 @@
+const jwt = require('jsonwebtoken');
+const { generateToken, hashToken } = require('./tokens');
+const { closeUserSockets } = require('./realtime');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+async function issueRefreshToken(sessionId, supabase) {
+  const { token, tokenHash } = generateToken(48);
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const { error } = await supabase
+    .from('refresh_tokens')
+    .insert({
+      session_id: sessionId,
+      token_hash: tokenHash,
+      expires_at: expiresAt.toISOString()
+    });
+
+  if (error) throw error;
+  return token;
+}
+
+// Start a new session for a device and return its first token pair
+async function createSession(userId, { userAgent, ip } = {}, supabase) {
+  const { data: session, error } = await supabase
+    .from('sessions')
+    .insert({
+      user_id: userId,
+      user_agent: userAgent ? String(userAgent).substring(0, 300) : null,
+      ip_address: ip || null
+    })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+
+  const refreshToken = await issueRefreshToken(session.id, supabase);
+  return {
+    token: signAccessToken(userId, session.id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId: session.id
+  };
+}
+
+// Revoking also drops the session's realtime sockets
+async function revokeSession(sessionId, reason, supabase) {
+  const { data, error } = await supabase
+    .from('sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', sessionId)
+    .is('revoked_at', null)
+    .select('user_id');
+
+  if (error) throw error;
+
+  for (const session of data || []) {
+    await closeUserSockets(session.user_id, { sessionId });
+  }
+}
+
+async function revokeAllSessions(userId, reason, supabase) {
+  const { error } = await supabase
+    .from('sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (error) throw error;
+
+  await closeUserSockets(userId);
+}
+
+// Exchange a refresh token for a new pair. The old token is marked used in
+// the same conditional update that validates it, so it can only be spent
+// once. Presenting an already-used token means it was copied: the whole
+// session is revoked. Returns { tokens } or { code } on failure.
+async function rotateRefreshToken(refreshToken, supabase) {
+  const now = new Date().toISOString();
+  const tokenHash = hashToken(refreshToken);
+
+  const { data: consumed, error } = await supabase
+    .from('refresh_tokens')
+    .update({ used_at: now })
+    .eq('token_hash', tokenHash)
+    .is('used_at', null)
+    .gt('expires_at', now)
+    .select('session_id')
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!consumed) {
+    const { data: existing } = await supabase
+      .from('refresh_tokens')
+      .select('session_id, used_at')
+      .eq('token_hash', tokenHash)
+      .maybeSingle();
+
+    if (existing?.used_at) {
+      console.error(`SECURITY: Refresh token reuse detected, revoking session ${existing.session_id}`);
+      await revokeSession(existing.session_id, 'refresh_token_reuse', supabase);
+      return { code: 'REFRESH_TOKEN_REUSED' };
+    }
+    return { code: 'INVALID_REFRESH_TOKEN' };
+  }
+
+  const { data: session, error: sessionError } = await supabase
+    .from('sessions')
+    .select('id, user_id, revoked_at, user:user_id(is_suspended)')
+    .eq('id', consumed.session_id)
+    .single();
+
+  if (sessionError) throw sessionError;
+
+  if (session.revoked_at) {
+    return { code: 'SESSION_REVOKED' };
+  }
+  if (session.user?.is_suspended) {
+    return { code: 'ACCOUNT_SUSPENDED' };
+  }
+
+  await supabase
+    .from('sessions')
+    .update({ last_used_at: now })
+    .eq('id', session.id);
+
+  const newRefreshToken = await issueRefreshToken(session.id, supabase);
+  return {
+    tokens: {
+      token: signAccessToken(session.user_id, session.id),
+      refreshToken: newRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    }
+  };
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,21 @@
+// Supabase Storage helpers shared across features
+
+async function removeStorageFolder(bucket, folder, supabase) {
+  // list() pages at 100 by default; keep going until the folder is empty
+  for (;;) {
+    const { data: files, error } = await supabase.storage
+      .from(bucket)
+      .list(folder, { limit: 100 });
+
+    if (error) throw error;
+    if (!files || files.length === 0) return;
+
+    const { error: removeError } = await supabase.storage
+      .from(bucket)
+      .remove(files.map(f => `${folder}/${f.name}`));
+
+    if (removeError) throw removeError;
+  }
+}
+
+module.exports = { removeStorageFolder };
@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+// Random URL-safe token for emailed links. Only the hash is ever stored,
+// so a database leak doesn't hand out working links.
+function generateToken(bytes = 32) {
+  const token = crypto.randomBytes(bytes).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+}
+
+function hashToken(token) {
+  return crypto
+    .createHash('sha256')
+    .update(String(token))
+    .digest('hex');
+}
+
+module.exports = {
+  generateToken,
+  hashToken
+};
@@ -0,0 +1,97 @@
+const { sendMail } = require('./mailer');
+const { normalizePlace, resolveRegion, getRegion } = require('./regions');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// Record an out-of-area signup. One entry per email: signing up again just
+// updates the city, and moving to another region makes them invitable again
+// when that one launches. Resolves to { entry } or { status, error, code }
+// when the city is already open for registration.
+async function joinWaitlist(email, rawCity, supabase) {
+  const place = resolveRegion(rawCity);
+
+  if (place && place.region.enabled) {
+    return {
+      status: 400,
+      error: `We're already live in ${place.region.name}. You can sign up now!`,
+      code: 'REGION_OPEN'
+    };
+  }
+
+  const normalizedEmail = email.toLowerCase().trim();
+  const regionId = place ? place.region.id : null;
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('waitlist')
+    .select('region_id')
+    .eq('email', normalizedEmail)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+
+  const row = {
+    email: normalizedEmail,
+    raw_city: String(rawCity).trim().substring(0, 100),
+    normalized_city: normalizePlace(rawCity).substring(0, 100),
+    region_id: regionId,
+    resolved_city: place ? place.city : null,
+    updated_at: new Date().toISOString()
+  };
+  if (existing && existing.region_id !== regionId) row.invited_at = null;
+
+  const { data: entry, error } = await supabase
+    .from('waitlist')
+    .upsert(row, { onConflict: 'email' })
+    .select('id, region_id, resolved_city, invited_at, created_at')
+    .single();
+
+  if (error) throw error;
+  return { entry };
+}
+
+// Email everyone waiting on a region that has opened. Entries are marked
+// invited one at a time so a re-run after a failure only sends the rest.
+// Returns how many were invited.
+async function inviteRegionWaitlist(regionId, supabase) {
+  const region = getRegion(regionId);
+  if (!region) throw new Error(`Unknown region: ${regionId}`);
+  if (!region.enabled) throw new Error(`Region ${regionId} is not enabled yet`);
+
+  const { data: entries, error } = await supabase
+    .from('waitlist')
+    .select('id, email, resolved_city')
+    .eq('region_id', regionId)
+    .is('invited_at', null)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  let invited = 0;
+  for (const entry of entries || []) {
+    try {
+      await sendMail({
+        to: entry.email,
+        subject: `ScentedSoleMates is now live in ${region.name}`,
+        text: `Good news! You asked us to let you know when we launched near ${entry.resolved_city || region.name}.\n\n` +
+          `We're live. Create your account here:\n${APP_URL}/register\n\n` +
+          `You're receiving this because you joined our waitlist. We won't email you about it again.`
+      });
+
+      const { error: updateError } = await supabase
+        .from('waitlist')
+        .update({ invited_at: new Date().toISOString() })
+        .eq('id', entry.id);
+
+      if (updateError) throw updateError;
+      invited++;
+    } catch (err) {
+      console.error('[WAITLIST] Invite failed for entry', entry.id, err);
+    }
+  }
+  return invited;
+}
+
+module.exports = {
+  joinWaitlist,
+  inviteRegionWaitlist
+};
@@ -0,0 +1,39 @@
+// Visible watermark for users who opt in (users.watermark_photos): the
+// username and site mark tiled diagonally across the image, faint enough
+// to leave the photo watchable but hard to crop or clone out.
+const SITE_MARK = process.env.WATERMARK_SITE_MARK || 'scentedsolemates.com';
+const OPACITY = parseFloat(process.env.WATERMARK_OPACITY) || 0.22;
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, c => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+  })[c]);
+}
+
+function watermarkText(username) {
+  return `@${username} · ${SITE_MARK}`;
+}
+
+// SVG overlay the same size as the image. Text scales with the shorter
+// side so the tiling looks the same on every variant.
+function watermarkSvg(width, height, text) {
+  const fontSize = Math.max(12, Math.round(Math.min(width, height) / 22));
+  const tileWidth = Math.round(fontSize * text.length * 0.62 + fontSize * 2);
+  const tileHeight = fontSize * 3;
+  const stroke = Math.max(1, fontSize / 16);
+
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+      `<defs><pattern id="wm" width="${tileWidth}" height="${tileHeight}" patternUnits="userSpaceOnUse" patternTransform="rotate(-30)">` +
+        `<text x="${fontSize}" y="${fontSize * 1.5}" font-family="DejaVu Sans, Arial, sans-serif" font-size="${fontSize}" font-weight="bold" ` +
+          `fill="#ffffff" stroke="#000000" stroke-width="${stroke}" opacity="${OPACITY}">${escapeXml(text)}</text>` +
+      `</pattern></defs>` +
+      `<rect width="100%" height="100%" fill="url(#wm)"/>` +
+    `</svg>`
+  );
+}
+
+module.exports = {
+  watermarkText,
+  watermarkSvg
+};